@@ -0,0 +1,59 @@
+const SENSITIVE_KEY = /secret|token|password|authorization|api_?key|private_?key/i;
+const MAX_STRING = 500;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 5;
+
+function sanitizePayload(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map((item) => sanitizePayload(item, depth + 1));
+    if (value.length > MAX_ITEMS) items.push(`[+${value.length - MAX_ITEMS}]`);
+    return items;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? '[redacted]' : sanitizePayload(item, depth + 1),
+    ]),
+  );
+}
+
+// Keeps the scalar fields of a JSON response (counts, flags, ids) and drops lists.
+function summarizeResult(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  return Object.fromEntries(
+    Object.entries(body).filter(
+      ([key, value]) =>
+        !SENSITIVE_KEY.test(key) &&
+        (typeof value === 'number' ||
+          typeof value === 'boolean' ||
+          (typeof value === 'string' && value.length <= 200)),
+    ),
+  );
+}
+
+// Spreadsheets evaluate cells starting with = + - @ (or a tab/CR) as formulas: text cells get a
+// leading quote so a route or payload can't turn into one. Numbers are left as they are.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  sanitizePayload,
+  summarizeResult,
+  toCsv,
+};
@@ -0,0 +1,77 @@
+const { zonedTimeToDate } = require('./time');
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+// RFC 5545 lines must be folded at 75 octets.
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+// Times are emitted in UTC: a TZID needs a matching VTIMEZONE, which many clients require.
+function serviceStart(isoDate, time, timeZone) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hour, minute] = String(time || '00:00')
+    .split(':')
+    .map(Number);
+  return zonedTimeToDate(year, month, day, hour || 0, minute || 0, timeZone);
+}
+
+function buildCalendar({ name, timeZone, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Worship Schedule//Notifications Backend//IT',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+  events.forEach((event) => {
+    const start = serviceStart(event.date, event.startTime, timeZone);
+    const end = new Date(start.getTime() + (event.durationMinutes || 0) * 60 * 1000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART:${formatUtc(start)}`,
+      `DTEND:${formatUtc(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+    );
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,87 @@
+const nodemailer = require('nodemailer');
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function absoluteLink(link, baseUrl) {
+  if (/^https?:\/\//.test(link || '')) return link;
+  const base = String(baseUrl || '').replace(/\/$/, '');
+  return `${base}${link || '/'}`;
+}
+
+function renderEmail({ title, body, link, button }, baseUrl) {
+  const url = absoluteLink(link, baseUrl);
+  const text = `${title}\n\n${body}\n\n${url}\n`;
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; margin: 0; padding: 24px;">
+    <h2 style="margin: 0 0 12px;">${escapeHtml(title)}</h2>
+    <p style="margin: 0 0 20px; line-height: 1.5;">${escapeHtml(body)}</p>
+    <p style="margin: 0;">
+      <a href="${escapeHtml(url)}" style="background: #3b5bdb; color: #fff; padding: 10px 16px; border-radius: 6px; text-decoration: none;">${escapeHtml(button)}</a>
+    </p>
+  </body>
+</html>`;
+  return { subject: title, text, html };
+}
+
+function createMailer({
+  EMAIL_TRANSPORT,
+  SMTP_HOST,
+  SMTP_PORT = '587',
+  SMTP_SECURE = 'false',
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_FROM = '',
+} = {}) {
+  const kind = EMAIL_TRANSPORT || (SMTP_HOST ? 'smtp' : 'none');
+
+  if (kind === 'capture') {
+    const outbox = [];
+    return {
+      kind,
+      enabled: true,
+      outbox,
+      async send(message) {
+        outbox.push({ from: EMAIL_FROM, ...message, sentAt: new Date().toISOString() });
+        return { messageId: `capture-${outbox.length}` };
+      },
+    };
+  }
+
+  if (kind === 'smtp') {
+    if (!SMTP_HOST) throw new Error('SMTP_HOST mancante');
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT) || 587,
+      secure: SMTP_SECURE === 'true',
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+    return {
+      kind,
+      enabled: true,
+      async send(message) {
+        return transporter.sendMail({ from: EMAIL_FROM, ...message });
+      },
+    };
+  }
+
+  return {
+    kind: 'none',
+    enabled: false,
+    async send() {
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  createMailer,
+  renderEmail,
+};
@@ -0,0 +1,118 @@
+// Minimal single-font PDF writer for printable text exports. Courier keeps chords aligned
+// above the lyrics, and the standard 14 fonts need no embedding.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 10;
+const LEADING = 12;
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - MARGIN * 2) / (FONT_SIZE * 0.6));
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LEADING);
+
+// WinAnsiEncoding matches Latin-1 except for a few punctuation marks in 0x80-0x9f.
+const WIN_ANSI = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+};
+
+function encodeText(text) {
+  let out = '';
+  for (const char of String(text || '')) {
+    const code = WIN_ANSI[char] || char.codePointAt(0);
+    if (char === '\\' || char === '(' || char === ')') out += `\\${char}`;
+    else if (code >= 0x20 && code < 0x7f) out += char;
+    else if (code <= 0xff) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += '?';
+  }
+  return out;
+}
+
+function wrapLines(lines) {
+  return lines.flatMap(({ text, bold }) => {
+    const value = String(text || '').replace(/\t/g, '    ');
+    if (value.length <= CHARS_PER_LINE) return [{ text: value, bold }];
+    const parts = [];
+    for (let i = 0; i < value.length; i += CHARS_PER_LINE) {
+      parts.push({ text: value.slice(i, i + CHARS_PER_LINE), bold });
+    }
+    return parts;
+  });
+}
+
+function pageStream(lines) {
+  const ops = ['BT', `${LEADING} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`];
+  let font = null;
+  lines.forEach(({ text, bold }) => {
+    const next = bold ? '/F2' : '/F1';
+    if (next !== font) {
+      ops.push(`${next} ${FONT_SIZE} Tf`);
+      font = next;
+    }
+    ops.push(`(${encodeText(text)}) Tj T*`);
+  });
+  ops.push('ET');
+  return ops.join('\n');
+}
+
+// lines: [{ text, bold }]. Returns a Buffer.
+function buildTextPdf({ title, lines }) {
+  const wrapped = wrapLines(lines);
+  const pages = [];
+  for (let i = 0; i < wrapped.length || !pages.length; i += LINES_PER_PAGE) {
+    pages.push(wrapped.slice(i, i + LINES_PER_PAGE));
+  }
+
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const catalog = add(null);
+  const pagesId = add(null);
+  const regular = add(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+  );
+  const bold = add(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+  );
+  const info = add(`<< /Title (${encodeText(title)}) /Producer (Worship Schedule) >>`);
+  const pageIds = pages.map((pageLines) => {
+    const stream = pageStream(pageLines);
+    const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> ` +
+        `/Contents ${contents} 0 R >>`,
+    );
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] ` +
+    `/Count ${pageIds.length} >>`;
+
+  // Every byte is ASCII (non-ASCII text is octal-escaped), so string length = byte offset.
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, idx) => {
+    const offset = out.length;
+    out += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\n`;
+  out += `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'ascii');
+}
+
+module.exports = {
+  buildTextPdf,
+};
@@ -0,0 +1,68 @@
+function normalizeServices(services) {
+  return (services || []).map((s) => ({
+    serviceId: String(s.serviceId || ''),
+    assignments: (s.assignments || [])
+      .filter((a) => a.personId && a.positionId)
+      .map((a) => ({ positionId: String(a.positionId), personId: String(a.personId) })),
+  }));
+}
+
+function slotsByPerson(services) {
+  const slots = new Map();
+  normalizeServices(services).forEach((s) => {
+    s.assignments.forEach((a) => {
+      if (!slots.has(a.personId)) slots.set(a.personId, []);
+      slots.get(a.personId).push({ serviceId: s.serviceId, positionId: a.positionId });
+    });
+  });
+  return slots;
+}
+
+const slotKey = (slot) => `${slot.serviceId}|${slot.positionId}`;
+
+// Compares two versions of `schedules.services` and returns the changes per
+// person. A removal and an addition for the same person are paired into a
+// single "moved" change, preferring pairs within the same service.
+function diffScheduleAssignments(previousServices, currentServices) {
+  const before = slotsByPerson(previousServices);
+  const after = slotsByPerson(currentServices);
+  const people = new Set([...before.keys(), ...after.keys()]);
+  const changes = new Map();
+
+  people.forEach((personId) => {
+    const oldSlots = before.get(personId) || [];
+    const newSlots = after.get(personId) || [];
+    const newKeys = new Set(newSlots.map(slotKey));
+    const oldKeys = new Set(oldSlots.map(slotKey));
+    const removed = oldSlots.filter((s) => !newKeys.has(slotKey(s)));
+    const added = newSlots.filter((s) => !oldKeys.has(slotKey(s)));
+    if (!removed.length && !added.length) return;
+
+    const list = [];
+    const pendingAdded = [...added];
+    removed.forEach((from) => {
+      let idx = pendingAdded.findIndex((to) => to.serviceId === from.serviceId);
+      if (idx === -1) idx = pendingAdded.length ? 0 : -1;
+      if (idx === -1) {
+        list.push({ type: 'removed', ...from });
+        return;
+      }
+      const [to] = pendingAdded.splice(idx, 1);
+      list.push({
+        type: 'moved',
+        ...to,
+        fromServiceId: from.serviceId,
+        fromPositionId: from.positionId,
+      });
+    });
+    pendingAdded.forEach((to) => list.push({ type: 'added', ...to }));
+    changes.set(personId, list);
+  });
+
+  return changes;
+}
+
+module.exports = {
+  normalizeServices,
+  diffScheduleAssignments,
+};
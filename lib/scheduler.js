@@ -0,0 +1,98 @@
+const DAY_MS = 86400000;
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+// Greedy fair-share assignment. Services are filled in date order; for every
+// slot the eligible person with the lowest score wins, where the score grows
+// with the number of slots already taken this month and with having served in
+// the previous `restDays`. Positions with fewer free people are filled first,
+// and ties break on id so the same input gives the same draft.
+function generateSchedule({ services, positions, people, unavailable = {}, restDays = 7 }) {
+  const load = new Map(people.map((p) => [p.id, 0]));
+  const positionLoad = new Map();
+  const lastServed = new Map();
+  const warnings = [];
+
+  const ordered = [...services].sort(
+    (a, b) =>
+      String(a.date).localeCompare(String(b.date)) ||
+      String(a.startTime || '').localeCompare(String(b.startTime || '')),
+  );
+
+  const result = ordered.map((service) => {
+    const assignments = [];
+    const taken = new Set();
+    const isFree = (person) => !(unavailable[person.id] || []).includes(service.date);
+    const scarcestFirst = [...positions].sort(
+      (a, b) =>
+        people.filter((p) => isFree(p) && (p.positionIds || []).includes(a.id)).length -
+        people.filter((p) => isFree(p) && (p.positionIds || []).includes(b.id)).length,
+    );
+
+    scarcestFirst.forEach((position) => {
+      const slots = Math.max(Number(position.count) || 1, 1);
+      for (let slot = 0; slot < slots; slot += 1) {
+        const candidates = people.filter((person) => {
+          if (taken.has(person.id)) return false;
+          if (!(person.positionIds || []).includes(position.id)) return false;
+          return isFree(person);
+        });
+        if (!candidates.length) {
+          warnings.push({
+            serviceId: service.id,
+            positionId: position.id,
+            reason: 'no_candidates',
+          });
+          continue;
+        }
+
+        const scored = candidates.map((person) => {
+          const last = lastServed.get(person.id);
+          const rested = !last || daysBetween(last, service.date) > restDays;
+          const posKey = `${person.id}:${position.id}`;
+          return {
+            person,
+            rested,
+            score: (load.get(person.id) || 0) * 10 + (positionLoad.get(posKey) || 0),
+          };
+        });
+        scored.sort(
+          (a, b) =>
+            Number(b.rested) - Number(a.rested) ||
+            a.score - b.score ||
+            String(a.person.id).localeCompare(String(b.person.id)),
+        );
+
+        const pick = scored[0];
+        if (!pick.rested) {
+          warnings.push({
+            serviceId: service.id,
+            positionId: position.id,
+            personId: pick.person.id,
+            reason: 'back_to_back',
+          });
+        }
+        const posKey = `${pick.person.id}:${position.id}`;
+        taken.add(pick.person.id);
+        load.set(pick.person.id, (load.get(pick.person.id) || 0) + 1);
+        positionLoad.set(posKey, (positionLoad.get(posKey) || 0) + 1);
+        lastServed.set(pick.person.id, service.date);
+        assignments.push({ positionId: position.id, personId: pick.person.id });
+      }
+    });
+
+    return { serviceId: service.id, assignments };
+  });
+
+  return {
+    services: result,
+    load: Object.fromEntries(load),
+    warnings,
+  };
+}
+
+module.exports = {
+  generateSchedule,
+};
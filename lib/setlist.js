@@ -0,0 +1,178 @@
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const NOTE_INDEX = {
+  ...Object.fromEntries(SHARP_NAMES.map((name, idx) => [name, idx])),
+  ...Object.fromEntries(FLAT_NAMES.map((name, idx) => [name, idx])),
+  'B#': 0,
+  Fb: 4,
+  'E#': 5,
+  Cb: 11,
+};
+const FLAT_MAJOR_KEYS = new Set(['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb']);
+const FLAT_MINOR_KEYS = new Set(['D', 'G', 'C', 'F', 'Bb', 'Eb', 'Ab']);
+
+const LABELS = {
+  it: { key: 'Tonalità', original: 'originale', notes: 'Note' },
+  pt: { key: 'Tom', original: 'original', notes: 'Notas' },
+  en: { key: 'Key', original: 'original', notes: 'Notes' },
+};
+
+function parseKey(key) {
+  const match = /^([A-G][#b]?)(m|min|-)?$/.exec(String(key || '').trim());
+  if (!match || NOTE_INDEX[match[1]] === undefined) return null;
+  return { root: match[1], index: NOTE_INDEX[match[1]], minor: Boolean(match[2]) };
+}
+
+// null when no transposition gets from one key to the other: an unknown spelling, or a switch
+// between major and minor (Am -> C is a different key, not a shift of 3 semitones).
+function semitonesBetween(fromKey, toKey) {
+  const from = parseKey(fromKey);
+  const to = parseKey(toKey);
+  if (!from || !to || from.minor !== to.minor) return null;
+  return (to.index - from.index + 12) % 12;
+}
+
+// Chords are spelled with flats in flat keys (Bb, not A#), sharps otherwise.
+function prefersFlats(key) {
+  const parsed = parseKey(key);
+  if (!parsed) return false;
+  if (parsed.root.endsWith('b')) return true;
+  return parsed.minor ? FLAT_MINOR_KEYS.has(parsed.root) : FLAT_MAJOR_KEYS.has(parsed.root);
+}
+
+function transposeNote(note, semitones, useFlats) {
+  const index = NOTE_INDEX[note];
+  if (index === undefined) return note;
+  const names = useFlats ? FLAT_NAMES : SHARP_NAMES;
+  return names[(index + semitones + 12) % 12];
+}
+
+function transposeChord(chord, semitones, useFlats = false) {
+  const match = /^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/.exec(chord);
+  if (!match || !semitones) return chord;
+  const [, root, suffix, bass] = match;
+  const transposed = `${transposeNote(root, semitones, useFlats)}${suffix}`;
+  return bass ? `${transposed}/${transposeNote(bass, semitones, useFlats)}` : transposed;
+}
+
+function transposeChordPro(text, semitones, useFlats = false) {
+  if (!semitones) return String(text || '');
+  return String(text || '').replace(
+    /\[([^\]]+)\]/g,
+    (_m, chord) => `[${transposeChord(chord.trim(), semitones, useFlats)}]`,
+  );
+}
+
+// Song-level directives are replaced by the setlist header, so they are dropped from the body.
+const SKIPPED_DIRECTIVES = new Set([
+  'title',
+  't',
+  'subtitle',
+  'st',
+  'artist',
+  'key',
+  'new_song',
+  'ns',
+]);
+
+function stripSongDirectives(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter((line) => {
+      const match = /^\s*\{(\w+)\s*(?::.*)?\}\s*$/.exec(line);
+      return !match || !SKIPPED_DIRECTIVES.has(match[1].toLowerCase());
+    })
+    .join('\n')
+    .trim();
+}
+
+function chordProLineToText(line) {
+  const directive = /^\s*\{(\w+)\s*(?::\s*(.*?))?\s*\}\s*$/.exec(line);
+  if (directive) {
+    const name = directive[1].toLowerCase();
+    if (['comment', 'c', 'comment_italic', 'ci'].includes(name)) {
+      return [`(${directive[2] || ''})`];
+    }
+    return [];
+  }
+  if (!line.includes('[')) return [line];
+
+  let chords = '';
+  let lyrics = '';
+  line.split(/(\[[^\]]*\])/).forEach((part) => {
+    const chord = /^\[([^\]]*)\]$/.exec(part);
+    if (!chord) {
+      lyrics += part;
+      return;
+    }
+    const at = Math.max(lyrics.length, chords.length ? chords.length + 1 : 0);
+    chords = chords.padEnd(at) + chord[1];
+  });
+  return lyrics.trim() ? [chords.trimEnd(), lyrics] : [chords.trimEnd()];
+}
+
+function chordProToText(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .flatMap(chordProLineToText);
+}
+
+function describeKey(song, labels) {
+  if (!song.key) return null;
+  const original =
+    song.originalKey && song.originalKey !== song.key
+      ? ` (${labels.original} ${song.originalKey})`
+      : '';
+  return `${labels.key}: ${song.key}${original}`;
+}
+
+function serviceHeading(service) {
+  return [service.name, [service.date, service.startTime].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(' — ');
+}
+
+function renderSetlistChordPro({ service, songs }) {
+  const blocks = songs.map((song) => {
+    const lines = [`{title: ${song.title}}`];
+    if (song.artist) lines.push(`{artist: ${song.artist}}`);
+    if (song.key) lines.push(`{key: ${song.key}}`);
+    if (song.notes) lines.push(`{comment: ${song.notes.replace(/\r?\n/g, ' ')}}`);
+    const body = stripSongDirectives(song.content);
+    if (body) lines.push('', body);
+    return lines.join('\n');
+  });
+  return `# ${serviceHeading(service)}\n\n${blocks.join('\n\n{new_song}\n\n')}\n`;
+}
+
+// Returns { text, bold } lines, shared by the plain text and PDF exports.
+function renderSetlistLines({ service, songs }, locale = 'it') {
+  const labels = LABELS[locale] || LABELS.it;
+  const lines = [{ text: serviceHeading(service), bold: true }, { text: '' }];
+  songs.forEach((song, idx) => {
+    if (idx) lines.push({ text: '' }, { text: '' });
+    const artist = song.artist ? ` — ${song.artist}` : '';
+    lines.push({ text: `${idx + 1}. ${song.title}${artist}`, bold: true });
+    const key = describeKey(song, labels);
+    if (key) lines.push({ text: key });
+    if (song.notes) lines.push({ text: `${labels.notes}: ${song.notes}` });
+    const body = chordProToText(stripSongDirectives(song.content));
+    if (body.length) lines.push({ text: '' }, ...body.map((text) => ({ text })));
+  });
+  return lines;
+}
+
+function renderSetlistText(setlist, locale) {
+  return `${renderSetlistLines(setlist, locale).map((line) => line.text).join('\n')}\n`;
+}
+
+module.exports = {
+  semitonesBetween,
+  prefersFlats,
+  transposeChord,
+  transposeChordPro,
+  chordProToText,
+  renderSetlistChordPro,
+  renderSetlistLines,
+  renderSetlistText,
+};
@@ -0,0 +1,427 @@
+const TEMPLATES = {
+  assignment_changed: {
+    it: {
+      title: 'Nuova assegnazione',
+      body: 'Sei stato inserito/aggiornato in una scala ({serviceDate}).',
+    },
+    pt: {
+      title: 'Nova escala',
+      body: 'Você foi incluído/atualizado em uma escala ({serviceDate}).',
+    },
+    en: {
+      title: 'New assignment',
+      body: 'You have been added to or updated in a schedule ({serviceDate}).',
+    },
+  },
+  service_songs_updated: {
+    it: {
+      title: 'Repertorio aggiornato',
+      body: 'Sono state aggiornate le canzoni del culto ({songsCount}).',
+    },
+    pt: {
+      title: 'Repertório atualizado',
+      body: 'As músicas do culto foram atualizadas ({songsCount}).',
+    },
+    en: {
+      title: 'Setlist updated',
+      body: 'The songs for the service have been updated ({songsCount}).',
+    },
+  },
+  announcement_created: {
+    it: { title: 'Nuovo annuncio', body: '{title}', fallbackBody: 'Nuovo annuncio disponibile' },
+    pt: { title: 'Novo aviso', body: '{title}', fallbackBody: 'Novo aviso disponível' },
+    en: { title: 'New announcement', body: '{title}', fallbackBody: 'New announcement available' },
+  },
+  monthly_schedule_created: {
+    it: { title: 'Nuova scala mensile', body: 'La scala del mese {month} è disponibile.' },
+    pt: { title: 'Nova escala mensal', body: 'A escala do mês {month} está disponível.' },
+    en: { title: 'New monthly schedule', body: 'The schedule for {month} is available.' },
+  },
+  catalog_song_created: {
+    it: {
+      title: 'Nuova canzone in catalogo',
+      body: '{title}',
+      fallbackBody: 'È stata aggiunta una nuova canzone.',
+    },
+    pt: {
+      title: 'Nova música no catálogo',
+      body: '{title}',
+      fallbackBody: 'Uma nova música foi adicionada.',
+    },
+    en: {
+      title: 'New song in the catalog',
+      body: '{title}',
+      fallbackBody: 'A new song has been added.',
+    },
+  },
+  remind_next_month_schedule: {
+    it: {
+      title: 'Promemoria scala mensile',
+      body: 'Manca la scala di {month}. Generala appena possibile.',
+    },
+    pt: {
+      title: 'Lembrete da escala mensal',
+      body: 'Falta a escala de {month}. Gere-a assim que possível.',
+    },
+    en: {
+      title: 'Monthly schedule reminder',
+      body: 'The schedule for {month} is missing. Please generate it as soon as possible.',
+    },
+  },
+  remind_service_songs_entry: {
+    it: {
+      title: 'Promemoria repertorio culto',
+      body: 'Mancano le canzoni per il culto {serviceName} ({serviceDate} {startTime}).',
+    },
+    pt: {
+      title: 'Lembrete de repertório',
+      body: 'Faltam as músicas do culto {serviceName} ({serviceDate} {startTime}).',
+    },
+    en: {
+      title: 'Setlist reminder',
+      body: 'Songs are missing for {serviceName} ({serviceDate} {startTime}).',
+    },
+  },
+  remind_upcoming_service_members: {
+    it: {
+      title: 'Promemoria culto in arrivo',
+      body: 'Sei in scala per {serviceName} ({serviceDate} {startTime}).',
+    },
+    pt: {
+      title: 'Lembrete de culto',
+      body: 'Você está escalado para {serviceName} ({serviceDate} {startTime}).',
+    },
+    en: {
+      title: 'Upcoming service reminder',
+      body: "You're scheduled for {serviceName} ({serviceDate} {startTime}).",
+    },
+  },
+  escalate_service_songs_leader: {
+    it: {
+      title: 'Urgente: repertorio mancante',
+      body: 'Le canzoni per {serviceName} ({serviceDate} {startTime}) non sono ancora state inserite. La band le aspetta!',
+    },
+    pt: {
+      title: 'Urgente: repertório faltando',
+      body: 'As músicas de {serviceName} ({serviceDate} {startTime}) ainda não foram inseridas. A banda está esperando!',
+    },
+    en: {
+      title: 'Urgent: setlist missing',
+      body: 'Songs for {serviceName} ({serviceDate} {startTime}) are still missing. The band is waiting!',
+    },
+  },
+  escalate_service_songs_ministers: {
+    it: {
+      title: 'Repertorio ancora mancante',
+      body: 'Il leader non ha ancora inserito le canzoni per {serviceName} ({serviceDate} {startTime}). Potete intervenire?',
+    },
+    pt: {
+      title: 'Repertório ainda faltando',
+      body: 'O líder ainda não inseriu as músicas de {serviceName} ({serviceDate} {startTime}). Vocês podem ajudar?',
+    },
+    en: {
+      title: 'Setlist still missing',
+      body: 'The leader has not added songs for {serviceName} ({serviceDate} {startTime}) yet. Can you step in?',
+    },
+  },
+  escalate_service_songs_root: {
+    it: {
+      title: 'Culto senza repertorio',
+      body: '{serviceName} ({serviceDate} {startTime}) è ancora senza canzoni nonostante i promemoria a leader e ministri.',
+    },
+    pt: {
+      title: 'Culto sem repertório',
+      body: '{serviceName} ({serviceDate} {startTime}) ainda está sem músicas apesar dos lembretes ao líder e aos ministros.',
+    },
+    en: {
+      title: 'Service without setlist',
+      body: '{serviceName} ({serviceDate} {startTime}) still has no songs despite reminders to the leader and ministers.',
+    },
+  },
+  assignment_declined: {
+    it: {
+      title: 'Assegnazione rifiutata',
+      body: '{personName} non può servire come {positionName} in {serviceName} ({serviceDate} {startTime}). {reason}',
+    },
+    pt: {
+      title: 'Escala recusada',
+      body: '{personName} não pode servir como {positionName} em {serviceName} ({serviceDate} {startTime}). {reason}',
+    },
+    en: {
+      title: 'Assignment declined',
+      body: '{personName} cannot serve as {positionName} at {serviceName} ({serviceDate} {startTime}). {reason}',
+    },
+  },
+  remind_assignment_confirmation: {
+    it: {
+      title: 'Conferma la tua presenza',
+      body: 'Sei in scala per {serviceName} ({serviceDate} {startTime}). Conferma o rifiuta l’assegnazione.',
+    },
+    pt: {
+      title: 'Confirme sua presença',
+      body: 'Você está escalado para {serviceName} ({serviceDate} {startTime}). Confirme ou recuse a escala.',
+    },
+    en: {
+      title: 'Please confirm your assignment',
+      body: "You're scheduled for {serviceName} ({serviceDate} {startTime}). Please accept or decline.",
+    },
+  },
+  swap_requested: {
+    it: {
+      title: 'Richiesta di scambio',
+      body: '{personName} ti chiede di sostituirlo come {positionName} in {serviceName} ({serviceDate} {startTime}).',
+    },
+    pt: {
+      title: 'Pedido de troca',
+      body: '{personName} pede que você o substitua como {positionName} em {serviceName} ({serviceDate} {startTime}).',
+    },
+    en: {
+      title: 'Swap request',
+      body: '{personName} asks you to cover {positionName} at {serviceName} ({serviceDate} {startTime}).',
+    },
+  },
+  swap_pending_approval: {
+    it: {
+      title: 'Scambio da approvare',
+      body: 'Scambio {positionName} in {serviceName} ({serviceDate}) accettato, in attesa di approvazione.',
+    },
+    pt: {
+      title: 'Troca para aprovar',
+      body: 'Troca de {positionName} em {serviceName} ({serviceDate}) aceita, aguardando aprovação.',
+    },
+    en: {
+      title: 'Swap awaiting approval',
+      body: 'The {positionName} swap for {serviceName} ({serviceDate}) was accepted and needs approval.',
+    },
+  },
+  swap_completed: {
+    it: {
+      title: 'Scambio confermato',
+      body: 'La scala di {positionName} in {serviceName} ({serviceDate} {startTime}) è stata aggiornata.',
+    },
+    pt: {
+      title: 'Troca confirmada',
+      body: 'A escala de {positionName} em {serviceName} ({serviceDate} {startTime}) foi atualizada.',
+    },
+    en: {
+      title: 'Swap confirmed',
+      body: 'The {positionName} assignment for {serviceName} ({serviceDate} {startTime}) has been updated.',
+    },
+  },
+  swap_rejected: {
+    it: {
+      title: 'Scambio non accettato',
+      body: 'La richiesta di scambio per {positionName} in {serviceName} ({serviceDate}) è stata rifiutata.',
+    },
+    pt: {
+      title: 'Troca não aceita',
+      body: 'O pedido de troca de {positionName} em {serviceName} ({serviceDate}) foi recusado.',
+    },
+    en: {
+      title: 'Swap not accepted',
+      body: 'The swap request for {positionName} at {serviceName} ({serviceDate}) was declined.',
+    },
+  },
+  schedule_changes: {
+    it: {
+      title: 'La tua scala è cambiata',
+      body: '{changes}',
+      lines: {
+        added: 'Sei stato inserito in {serviceName} {serviceDate} {startTime} ({positionName}).',
+        removed: 'Sei stato rimosso da {serviceName} {serviceDate} {startTime} ({positionName}).',
+        moved:
+          'Spostato da {fromServiceName} {fromServiceDate} {fromStartTime} ({fromPositionName}) a {serviceName} {serviceDate} {startTime} ({positionName}).',
+      },
+    },
+    pt: {
+      title: 'Sua escala mudou',
+      body: '{changes}',
+      lines: {
+        added: 'Você foi incluído em {serviceName} {serviceDate} {startTime} ({positionName}).',
+        removed: 'Você foi removido de {serviceName} {serviceDate} {startTime} ({positionName}).',
+        moved:
+          'Movido de {fromServiceName} {fromServiceDate} {fromStartTime} ({fromPositionName}) para {serviceName} {serviceDate} {startTime} ({positionName}).',
+      },
+    },
+    en: {
+      title: 'Your schedule changed',
+      body: '{changes}',
+      lines: {
+        added: 'You were added to {serviceName} {serviceDate} {startTime} ({positionName}).',
+        removed: 'You were removed from {serviceName} {serviceDate} {startTime} ({positionName}).',
+        moved:
+          'Moved from {fromServiceName} {fromServiceDate} {fromStartTime} ({fromPositionName}) to {serviceName} {serviceDate} {startTime} ({positionName}).',
+      },
+    },
+  },
+  digest: {
+    it: {
+      title: 'Riepilogo notifiche',
+      body: '{items}',
+      separator: ', ',
+      lines: {
+        catalog: '{count} nuove canzoni',
+        catalog_one: '1 nuova canzone',
+        serviceSongs: '{count} repertori aggiornati',
+        serviceSongs_one: '1 repertorio aggiornato',
+        announcements: '{count} nuovi annunci',
+        announcements_one: '1 nuovo annuncio',
+      },
+    },
+    pt: {
+      title: 'Resumo de notificações',
+      body: '{items}',
+      separator: ', ',
+      lines: {
+        catalog: '{count} músicas novas',
+        catalog_one: '1 música nova',
+        serviceSongs: '{count} repertórios atualizados',
+        serviceSongs_one: '1 repertório atualizado',
+        announcements: '{count} avisos novos',
+        announcements_one: '1 aviso novo',
+      },
+    },
+    en: {
+      title: 'Notification digest',
+      body: '{items}',
+      separator: ', ',
+      lines: {
+        catalog: '{count} new songs',
+        catalog_one: '1 new song',
+        serviceSongs: '{count} setlists updated',
+        serviceSongs_one: '1 setlist updated',
+        announcements: '{count} new announcements',
+        announcements_one: '1 new announcement',
+      },
+    },
+  },
+  device_test: {
+    it: { title: 'Notifica di prova', body: 'Questo dispositivo riceve le notifiche.' },
+    pt: { title: 'Notificação de teste', body: 'Este dispositivo está recebendo notificações.' },
+    en: { title: 'Test notification', body: 'This device is receiving notifications.' },
+  },
+  // Label of the link button in fallback emails; only the title is used.
+  email_open_link: {
+    it: { title: 'Apri', body: '' },
+    pt: { title: 'Abrir', body: '' },
+    en: { title: 'Open', body: '' },
+  },
+};
+
+const ACTIONS = {
+  confirm: {
+    link: '/services/{serviceId}?respond=accepted',
+    it: 'Conferma',
+    pt: 'Confirmar',
+    en: 'Confirm',
+  },
+  decline: {
+    link: '/services/{serviceId}?respond=declined',
+    it: 'Rifiuta',
+    pt: 'Recusar',
+    en: 'Decline',
+  },
+  view_setlist: {
+    link: '/services/{serviceId}?tab=setlist',
+    it: 'Vedi repertorio',
+    pt: 'Ver repertório',
+    en: 'View setlist',
+  },
+  add_songs: {
+    link: '/services/{serviceId}?tab=songs',
+    it: 'Inserisci canzoni',
+    pt: 'Inserir músicas',
+    en: 'Add songs',
+  },
+  view_swap: {
+    link: '/swaps/{swapId}',
+    it: 'Vedi richiesta',
+    pt: 'Ver pedido',
+    en: 'View request',
+  },
+  view_schedule: { link: '/schedules', it: 'Vedi scala', pt: 'Ver escala', en: 'View schedule' },
+  download_setlist: {
+    link: '{setlistLink}',
+    it: 'Scarica PDF',
+    pt: 'Baixar PDF',
+    en: 'Download PDF',
+  },
+};
+
+const TEMPLATE_ACTIONS = {
+  assignment_changed: ['view_schedule'],
+  service_songs_updated: ['view_setlist', 'download_setlist'],
+  remind_service_songs_entry: ['add_songs'],
+  escalate_service_songs_leader: ['add_songs'],
+  escalate_service_songs_ministers: ['add_songs'],
+  escalate_service_songs_root: ['add_songs'],
+  remind_upcoming_service_members: ['view_setlist'],
+  remind_assignment_confirmation: ['confirm', 'decline'],
+  swap_requested: ['view_swap'],
+  swap_pending_approval: ['view_swap'],
+  schedule_changes: ['view_schedule'],
+};
+
+function normalizeLocale(locale) {
+  return String(locale || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+}
+
+function isSupportedLocale(locale) {
+  const lang = normalizeLocale(locale);
+  return Object.values(TEMPLATES).some((t) => Boolean(t[lang]));
+}
+
+function interpolate(text, vars = {}) {
+  return String(text || '').replace(/\{(\w+)\}/g, (_m, name) =>
+    vars[name] === undefined || vars[name] === null ? '' : String(vars[name]),
+  );
+}
+
+function renderTemplate(key, locale, vars, defaultLocale = 'it') {
+  const entry = typeof key === 'string' ? TEMPLATES[key] : key;
+  if (!entry) throw new Error(`Template sconosciuto: ${key}`);
+  const tpl =
+    entry[normalizeLocale(locale)] || entry[defaultLocale] || entry.it || Object.values(entry)[0];
+  const values = { ...vars };
+  Object.entries(vars || {}).forEach(([name, value]) => {
+    if (!tpl.lines || !Array.isArray(value)) return;
+    values[name] = value
+      .map((item) => {
+        const line = item.count === 1 ? tpl.lines[`${item.type}_one`] : null;
+        return interpolate(line || tpl.lines[item.type], item);
+      })
+      .filter(Boolean)
+      .join(tpl.separator || '\n');
+  });
+  const body = interpolate(tpl.body, values).trim();
+  return {
+    title: interpolate(tpl.title, values),
+    body: body || tpl.fallbackBody || '',
+  };
+}
+
+// Actions whose link needs an id missing from vars are dropped rather than sent half-built.
+function renderActions(key, locale, vars = {}, defaultLocale = 'it') {
+  const lang = normalizeLocale(locale);
+  return (TEMPLATE_ACTIONS[key] || [])
+    .map((id) => ({ id, ...ACTIONS[id] }))
+    .filter(({ link }) =>
+      [...link.matchAll(/\{(\w+)\}/g)].every(([, name]) => vars[name] != null && vars[name] !== ''),
+    )
+    .map((action) => ({
+      action: action.id,
+      title: action[lang] || action[defaultLocale] || action.it,
+      link: interpolate(action.link, vars),
+    }));
+}
+
+module.exports = {
+  TEMPLATES,
+  normalizeLocale,
+  isSupportedLocale,
+  interpolate,
+  renderTemplate,
+  renderActions,
+};
@@ -0,0 +1,166 @@
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wall-clock parts of `now` in `timeZone`. Calendar math is then done on these
+// parts (never on the server's local time), so DST shifts cannot move a date.
+function getZonedParts(now, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(now)
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function toISODate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+function addDaysToISODate(isoDate, days) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return toISODate(year, month, day + days);
+}
+
+function getLocalISODate(now, timeZone, offsetDays = 0) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return toISODate(year, month, day + offsetDays);
+}
+
+function getNextMonthInfo(now, timeZone) {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const start = new Date(Date.UTC(year, month, 1));
+  const today = Date.UTC(year, month - 1, day);
+  return {
+    month: start.toISOString().slice(0, 7),
+    startDate: start.toISOString().slice(0, 10),
+    daysUntilStart: Math.round((start.getTime() - today) / 86400000),
+  };
+}
+
+function getOffsetMs(instant, timeZone) {
+  const p = getZonedParts(new Date(instant), timeZone);
+  const minute = instant - (instant % 60000);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - minute;
+}
+
+// A wall time skipped by a DST jump is moved forward by the size of the jump (02:30 on the
+// March change in Rome becomes 03:30); a repeated one resolves to its first occurrence.
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const before = wall - getOffsetMs(wall - 86400000, timeZone);
+  const after = wall - getOffsetMs(wall + 86400000, timeZone);
+  const exact = [before, after]
+    .filter((t) => t + getOffsetMs(t, timeZone) === wall)
+    .sort((a, b) => a - b);
+  return new Date(exact.length ? exact[0] : before);
+}
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidQuietSettings({ quietHours, dndDays } = {}) {
+  if (quietHours != null) {
+    if (typeof quietHours !== 'object') return false;
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+  }
+  if (dndDays != null) {
+    if (!Array.isArray(dndDays)) return false;
+    if (!dndDays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) return false;
+  }
+  return true;
+}
+
+// Returns the instant the quiet window containing `now` ends, or null when
+// `now` is outside every window. Works on wall-clock minutes in `timeZone`
+// so that a 22:00-07:00 window stays 22:00-07:00 across DST changes.
+function getQuietWindowEnd(now, timeZone, { quietHours, dndDays } = {}) {
+  const start = parseClock(quietHours?.start);
+  const end = parseClock(quietHours?.end);
+  const days = new Set(Array.isArray(dndDays) ? dndDays : []);
+  const hasQuietHours = start !== null && end !== null && start !== end;
+  if (!hasQuietHours && !days.size) return null;
+
+  const p = getZonedParts(now, timeZone);
+  const dayStart = (t) => t - (t % 86400000);
+  const minutesOf = (t) => Math.floor((t % 86400000) / 60000);
+  const inQuietHours = (m) => (start < end ? m >= start && m < end : m >= start || m < end);
+
+  let wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  let moved = false;
+  for (let i = 0; i < 16; i += 1) {
+    const m = minutesOf(wall);
+    if (days.has(new Date(wall).getUTCDay())) {
+      wall = dayStart(wall) + 86400000;
+    } else if (hasQuietHours && inQuietHours(m)) {
+      wall = dayStart(wall) + end * 60000 + (m >= end ? 86400000 : 0);
+    } else {
+      break;
+    }
+    moved = true;
+  }
+  if (!moved) return null;
+
+  const w = new Date(wall);
+  return zonedTimeToDate(
+    w.getUTCFullYear(),
+    w.getUTCMonth() + 1,
+    w.getUTCDate(),
+    w.getUTCHours(),
+    w.getUTCMinutes(),
+    timeZone,
+  );
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  toISODate,
+  addDaysToISODate,
+  getLocalISODate,
+  getNextMonthInfo,
+  zonedTimeToDate,
+  isValidQuietSettings,
+  getQuietWindowEnd,
+};
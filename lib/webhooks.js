@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// The timestamp is part of the signed string so a captured request can't be replayed later.
+function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function getRetryDelayMs(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempt - 1, 0), RETRY_MAX_MS);
+}
+
+// Loopback, RFC1918, CGNAT, link-local (cloud metadata at 169.254.169.254) and their IPv6
+// counterparts: a subscription must not be able to reach the server's own network.
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+];
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function isPrivateAddress(address) {
+  const ip = String(address || '')
+    .toLowerCase()
+    .replace(/^\[|\]$/g, '');
+  if (net.isIPv4(ip)) {
+    const n = ipv4ToInt(ip);
+    return PRIVATE_IPV4_RANGES.some(
+      ([base, bits]) => n >>> (32 - bits) === ipv4ToInt(base) >>> (32 - bits),
+    );
+  }
+  if (!net.isIPv6(ip)) return false;
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const hexMapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hexMapped) {
+    const [hi, lo] = hexMapped.slice(1).map((h) => parseInt(h, 16));
+    return isPrivateAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join('.'));
+  }
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+}
+
+function parseAllowedHosts(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getHost(url) {
+  return url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+}
+
+function isValidWebhookUrl(value, allowedHosts = []) {
+  try {
+    const url = new URL(String(value || ''));
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+    const host = getHost(url);
+    if (allowedHosts.includes(host)) return true;
+    return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host);
+  } catch (err) {
+    return false;
+  }
+}
+
+// The URL is checked again at send time, after DNS: a public name can point to a private address.
+async function resolvesToPrivateAddress(host) {
+  if (net.isIP(host)) return isPrivateAddress(host);
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.some((a) => isPrivateAddress(a.address));
+}
+
+async function postWebhook({ url, secret, id, event, payload, timeoutMs, allowedHosts = [] }) {
+  if (!isValidWebhookUrl(url, allowedHosts)) {
+    return { statusCode: null, error: 'URL non consentito' };
+  }
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const body = JSON.stringify(payload);
+  try {
+    const host = getHost(new URL(url));
+    if (!allowedHosts.includes(host) && (await resolvesToPrivateAddress(host))) {
+      return { statusCode: null, error: 'URL non consentito' };
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'worship-schedule-webhooks',
+        'x-webhook-id': id,
+        'x-webhook-event': event,
+        'x-webhook-timestamp': timestamp,
+        'x-webhook-signature': signWebhookPayload(secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return { statusCode: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (err) {
+    return { statusCode: null, error: String(err?.message || err) };
+  }
+}
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  getRetryDelayMs,
+  isPrivateAddress,
+  parseAllowedHosts,
+  isValidWebhookUrl,
+  postWebhook,
+};
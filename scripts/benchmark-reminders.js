@@ -0,0 +1,130 @@
+/* eslint-disable no-console */
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+const {
+  FIRESTORE_EMULATOR_HOST,
+  FIREBASE_PROJECT_ID = 'demo-worship-schedule',
+  BENCH_BASE_URL = `http://localhost:${process.env.PORT || 3000}`,
+  BENCH_RUNS = '5',
+  BENCH_SEED = 'true',
+  CRON_SECRET = '',
+  WORSHIP_LEADER_POSITION_ID = 'ybW9FNApDIiZrTDH2fiX',
+} = process.env;
+
+if (!FIRESTORE_EMULATOR_HOST) {
+  throw new Error('FIRESTORE_EMULATOR_HOST mancante: il benchmark gira solo sull\'emulatore');
+}
+
+admin.initializeApp({ projectId: FIREBASE_PROJECT_ID });
+const db = admin.firestore();
+
+const PEOPLE = 80;
+const POSITION_IDS = [WORSHIP_LEADER_POSITION_ID, 'vocal', 'keys', 'guitar', 'bass', 'drums'];
+const SERVICE_WEEKDAYS = [0, 3];
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+async function commitInChunks(writes) {
+  for (let i = 0; i < writes.length; i += 400) {
+    const batch = db.batch();
+    writes.slice(i, i + 400).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+// Six months back and six ahead, so every reminder offset hits real services.
+async function seed() {
+  const writes = [];
+  for (let i = 0; i < PEOPLE; i += 1) {
+    const personId = `person-${i}`;
+    const userRef = db.collection('users').doc(`user-${i}`);
+    const role = i < 2 ? 'root' : i < 8 ? 'minister' : 'member';
+    writes.push([userRef, { name: `Persona ${i}`, role, active: true, linkedPersonId: personId }]);
+    writes.push([
+      db.collection('notification_devices').doc(`device-${i}`),
+      { userId: userRef.id, token: `bench-token-${i}`, enabled: true, preferences: {} },
+    ]);
+  }
+
+  const today = new Date();
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 6, 1));
+  const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 6, 1));
+  const schedules = new Map();
+  let serviceCount = 0;
+  for (let d = new Date(start); d < end; d.setUTCDate(d.getUTCDate() + 1)) {
+    if (!SERVICE_WEEKDAYS.includes(d.getUTCDay())) continue;
+    const date = isoDate(d);
+    const serviceRef = db.collection('services').doc(`service-${date}`);
+    writes.push([serviceRef, { name: 'Culto', date, startTime: '19:30' }]);
+    if (serviceCount % 2 === 0) {
+      writes.push([serviceRef.collection('songs').doc('song-1'), { title: 'Canto', order: 1 }]);
+    }
+    const assignments = POSITION_IDS.map((positionId, idx) => ({
+      positionId,
+      personId: `person-${(serviceCount * POSITION_IDS.length + idx) % PEOPLE}`,
+    }));
+    const month = date.slice(0, 7);
+    if (!schedules.has(month)) schedules.set(month, []);
+    schedules.get(month).push({ serviceId: serviceRef.id, assignments });
+    serviceCount += 1;
+  }
+  schedules.forEach((services, month) => {
+    writes.push([db.collection('schedules').doc(`schedule-${month}`), { month, services }]);
+  });
+
+  await commitInChunks(writes);
+  console.log(`Seed: ${PEOPLE} utenti, ${serviceCount} culti, ${schedules.size} scale`);
+}
+
+async function time(label, runs, fn) {
+  const durations = [];
+  for (let i = 0; i < runs; i += 1) {
+    const startedAt = process.hrtime.bigint();
+    await fn();
+    durations.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+  const median = durations[Math.floor(durations.length / 2)];
+  console.log(
+    `${label}: min ${durations[0].toFixed(1)}ms, mediana ${median.toFixed(1)}ms, ` +
+      `max ${durations[durations.length - 1].toFixed(1)}ms`,
+  );
+}
+
+function devicesQuery(group) {
+  return db
+    .collection('notification_devices')
+    .where('enabled', '==', true)
+    .where('userId', 'in', group);
+}
+
+async function main() {
+  if (BENCH_SEED === 'true') await seed();
+  const runs = Number(BENCH_RUNS) || 5;
+  const userIds = Array.from({ length: PEOPLE }, (_, i) => `user-${i}`);
+  const chunks = [];
+  for (let i = 0; i < userIds.length; i += 10) chunks.push(userIds.slice(i, i + 10));
+
+  await time('dispositivi, chunk in serie', runs, async () => {
+    for (const group of chunks) await devicesQuery(group).get();
+  });
+  await time('dispositivi, chunk in parallelo', runs, () =>
+    Promise.all(chunks.map((group) => devicesQuery(group).get())),
+  );
+
+  await time('run-reminder-rules (dryRun)', runs, async () => {
+    const res = await fetch(`${BENCH_BASE_URL}/api/cron/run-reminder-rules?dryRun=true`, {
+      method: 'POST',
+      headers: { 'x-cron-secret': CRON_SECRET },
+    });
+    if (!res.ok) throw new Error(`run-reminder-rules: HTTP ${res.status} ${await res.text()}`);
+  });
+}
+
+main().catch((err) => {
+  console.error('\nErrore:', err?.message || err);
+  process.exit(1);
+});
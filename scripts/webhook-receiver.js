@@ -0,0 +1,51 @@
+/* eslint-disable no-console */
+require('dotenv').config();
+const http = require('http');
+const { verifyWebhookSignature } = require('../lib/webhooks');
+
+const {
+  WEBHOOK_SECRET = '',
+  WEBHOOK_RECEIVER_PORT = '4000',
+  WEBHOOK_RECEIVER_FAIL = '0',
+} = process.env;
+
+if (!WEBHOOK_SECRET) {
+  throw new Error('WEBHOOK_SECRET mancante (restituito da POST /api/admin/webhooks)');
+}
+
+// Fails the first N requests with 500, to see retries and the dead-letter list at work.
+let failuresLeft = Number(WEBHOOK_RECEIVER_FAIL) || 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const valid = verifyWebhookSignature(
+      WEBHOOK_SECRET,
+      req.headers['x-webhook-timestamp'],
+      body,
+      req.headers['x-webhook-signature'],
+    );
+    console.log(
+      `\n${new Date().toISOString()} ${req.headers['x-webhook-event']} ` +
+        `(${req.headers['x-webhook-id']}) firma ${valid ? 'valida' : 'NON valida'}`,
+    );
+    console.log(body);
+
+    if (!valid) {
+      res.writeHead(401).end('firma non valida');
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      res.writeHead(500).end('errore simulato');
+      return;
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(Number(WEBHOOK_RECEIVER_PORT), () => {
+  console.log(`Ricevitore webhook su http://localhost:${WEBHOOK_RECEIVER_PORT}`);
+});
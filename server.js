@@ -3,6 +3,43 @@ const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
 const admin = require('firebase-admin');
+const {
+  isValidTimeZone,
+  getLocalISODate,
+  getNextMonthInfo,
+  getZonedParts,
+  isValidQuietSettings,
+  getQuietWindowEnd,
+} = require('./lib/time');
+const {
+  TEMPLATES,
+  normalizeLocale,
+  isSupportedLocale,
+  interpolate,
+  renderTemplate,
+  renderActions,
+} = require('./lib/templates');
+const { createMailer, renderEmail } = require('./lib/mailer');
+const { buildCalendar } = require('./lib/ical');
+const { generateSchedule } = require('./lib/scheduler');
+const { normalizeServices, diffScheduleAssignments } = require('./lib/scheduleDiff');
+const {
+  getRetryDelayMs,
+  parseAllowedHosts,
+  isValidWebhookUrl,
+  postWebhook,
+} = require('./lib/webhooks');
+const { sanitizePayload, summarizeResult, toCsv } = require('./lib/audit');
+const {
+  semitonesBetween,
+  prefersFlats,
+  transposeChordPro,
+  renderSetlistChordPro,
+  renderSetlistLines,
+  renderSetlistText,
+} = require('./lib/setlist');
+const { buildTextPdf } = require('./lib/pdf');
+const cronParser = require('cron-parser');
 
 const app = express();
 app.use(cors());
@@ -11,34 +48,82 @@ app.use(express.json({ limit: '1mb' }));
 const {
   PORT = 3000,
   APP_BASE_URL = '',
+  API_BASE_URL = '',
   CRON_SECRET = '',
   FIREBASE_PROJECT_ID,
   FIREBASE_CLIENT_EMAIL,
   FIREBASE_PRIVATE_KEY,
+  FIRESTORE_EMULATOR_HOST,
   REMINDER_MINISTER_DAYS_BEFORE = '3',
   REMINDER_MUSICIANS_DAYS_BEFORE = '2',
   WORSHIP_LEADER_POSITION_ID = 'ybW9FNApDIiZrTDH2fiX',
+  DEVICE_FAILURE_STREAK_LIMIT: DEVICE_FAILURE_STREAK_LIMIT_RAW = '5',
+  CHURCH_TIMEZONE = 'Europe/Rome',
+  DEFAULT_LOCALE: DEFAULT_LOCALE_RAW = 'it',
+  SERVICE_DURATION_MINUTES = '120',
+  ASSIGNMENT_CONFIRMATION_DAYS_BEFORE = '5',
+  SWAP_REQUIRE_APPROVAL = 'false',
+  SCHEDULE_WATCHER_ENABLED = 'false',
+  SONGS_ESCALATION_DAYS_BEFORE = '2,1,0',
+  SCHEDULER_ENABLED = 'false',
+  SCHEDULER_JOBS = '',
+  WEBHOOK_MAX_ATTEMPTS: WEBHOOK_MAX_ATTEMPTS_RAW = '6',
+  WEBHOOK_TIMEOUT_MS: WEBHOOK_TIMEOUT_MS_RAW = '10000',
+  WEBHOOK_ALLOWED_HOSTS: WEBHOOK_ALLOWED_HOSTS_RAW = '',
+  FCM_TOPICS_ENABLED = 'false',
+  AUDIT_RETENTION_DAYS = '365',
+  PUSH_ICON_URL = '',
+  PUSH_BADGE_URL = '',
+  SETLIST_LINK_SECRET = '',
 } = process.env;
 
-if (!FIREBASE_PROJECT_ID || !FIREBASE_CLIENT_EMAIL || !FIREBASE_PRIVATE_KEY) {
+const DEVICE_FAILURE_STREAK_LIMIT = Number(DEVICE_FAILURE_STREAK_LIMIT_RAW) || 5;
+const WEBHOOK_MAX_ATTEMPTS = Number(WEBHOOK_MAX_ATTEMPTS_RAW) || 6;
+const WEBHOOK_TIMEOUT_MS = Number(WEBHOOK_TIMEOUT_MS_RAW) || 10000;
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(WEBHOOK_ALLOWED_HOSTS_RAW);
+const DEFAULT_LOCALE = isSupportedLocale(DEFAULT_LOCALE_RAW)
+  ? normalizeLocale(DEFAULT_LOCALE_RAW)
+  : 'it';
+
+// Against the emulator the project id is enough: no service account is needed.
+if (
+  !FIREBASE_PROJECT_ID ||
+  (!FIRESTORE_EMULATOR_HOST && (!FIREBASE_CLIENT_EMAIL || !FIREBASE_PRIVATE_KEY))
+) {
   throw new Error('Variabili Firebase Admin mancanti');
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert({
-    projectId: FIREBASE_PROJECT_ID,
-    clientEmail: FIREBASE_CLIENT_EMAIL,
-    privateKey: FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  }),
-});
+if (!isValidTimeZone(CHURCH_TIMEZONE)) {
+  throw new Error(`CHURCH_TIMEZONE non valido: ${CHURCH_TIMEZONE}`);
+}
+
+admin.initializeApp(
+  FIRESTORE_EMULATOR_HOST
+    ? { projectId: FIREBASE_PROJECT_ID }
+    : {
+        credential: admin.credential.cert({
+          projectId: FIREBASE_PROJECT_ID,
+          clientEmail: FIREBASE_CLIENT_EMAIL,
+          privateKey: FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        }),
+      },
+);
 
 const db = admin.firestore();
 const messaging = admin.messaging();
+const mailer = createMailer(process.env);
 
 function tokenId(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
+const NON_URGENT_CATEGORIES = new Set(['catalog', 'announcements', 'serviceSongs']);
+const DIGEST_MODES = ['daily', 'weekly'];
+
+function resolveTimeZone(...candidates) {
+  return candidates.find((tz) => isValidTimeZone(tz)) || CHURCH_TIMEZONE;
+}
+
 async function authRequired(req, res, next) {
   try {
     const header = req.headers.authorization || '';
@@ -53,6 +138,7 @@ async function authRequired(req, res, next) {
 }
 
 async function requireManageRole(req, res, next) {
+  auditRequest(req, res);
   const uid = req.auth?.uid;
   const userSnap = await db.collection('users').doc(uid).get();
   const user = userSnap.exists ? userSnap.data() : null;
@@ -65,6 +151,7 @@ async function requireManageRole(req, res, next) {
 }
 
 async function requireRootRole(req, res, next) {
+  auditRequest(req, res);
   const uid = req.auth?.uid;
   const userSnap = await db.collection('users').doc(uid).get();
   const user = userSnap.exists ? userSnap.data() : null;
@@ -75,13 +162,76 @@ async function requireRootRole(req, res, next) {
   next();
 }
 
+async function recordAudit(entry) {
+  try {
+    await db.collection('audit_log').add({
+      ...entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    console.error('audit:', err?.message || err);
+  }
+}
+
+// Reads are not audited: only requests that can change data or send something.
+function auditRequest(req, res, actorRole = null) {
+  if (req.method === 'GET' || req.method === 'HEAD' || res.locals.audited) return;
+  res.locals.audited = true;
+  const startedAt = Date.now();
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    if (typeof body === 'string' && res.locals.auditBody === undefined) {
+      res.locals.auditError = body.slice(0, 300);
+    }
+    return send(body);
+  };
+
+  res.on('finish', () => {
+    const body = res.locals.auditBody;
+    const recipients = [body?.recipients, body?.count].find((v) => typeof v === 'number');
+    recordAudit({
+      actorUid: req.appUser?.id || req.auth?.uid || null,
+      actorRole: req.appUser?.role || actorRole,
+      method: req.method,
+      route: req.route?.path || req.path,
+      path: req.path,
+      params: sanitizePayload(req.params),
+      query: sanitizePayload(req.query),
+      payload: sanitizePayload(req.body),
+      recipients: recipients ?? null,
+      statusCode: res.statusCode,
+      result: summarizeResult(body),
+      error: res.statusCode >= 400 ? res.locals.auditError || null : null,
+      ip: String(req.headers['x-forwarded-for'] || req.ip || '').split(',')[0].trim() || null,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 300) || null,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+}
+
+// Express 4 does not catch rejected promises: errors go to the error handler and become a 500.
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Route params are URL-decoded, and .doc() throws on an id containing a slash.
+function isValidDocId(id) {
+  return typeof id === 'string' && id.length > 0 && !id.includes('/') && id !== '.' && id !== '..';
+}
+
 app.get('/health', (_req, res) => {
   res.json({ ok: true, time: new Date().toISOString() });
 });
 
 app.post('/api/register-device', authRequired, async (req, res) => {
-  const { token, role, preferences, platform } = req.body || {};
+  const { token, role, preferences, platform, timeZone, locale, name } = req.body || {};
   if (!token) return res.status(400).send('token obbligatorio');
+  if (timeZone && !isValidTimeZone(timeZone)) return res.status(400).send('timeZone non valido');
   const id = tokenId(token);
   await db
     .collection('notification_devices')
@@ -94,12 +244,20 @@ app.post('/api/register-device', authRequired, async (req, res) => {
         preferences: preferences || {},
         enabled: true,
         platform: platform || 'unknown',
+        timeZone: timeZone || null,
+        locale: isSupportedLocale(locale) ? normalizeLocale(locale) : null,
+        ...(name ? { name: String(name).trim().slice(0, 80) } : {}),
+        disabledReason: null,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       },
       { merge: true },
     );
-  res.json({ ok: true });
+  if (timeZone) {
+    await db.collection('users').doc(req.auth.uid).set({ timeZone }, { merge: true });
+  }
+  res.json({ ok: true, deviceId: id });
 });
 
 app.post('/api/unregister-device', authRequired, async (req, res) => {
@@ -119,407 +277,4078 @@ app.post('/api/unregister-device', authRequired, async (req, res) => {
   res.json({ ok: true });
 });
 
+function isValidPreferences(preferences) {
+  if (preferences == null) return true;
+  if (typeof preferences !== 'object' || Array.isArray(preferences)) return false;
+  return Object.entries(preferences).every(([category, value]) => {
+    if (typeof value === 'boolean' || value === 'instant') return true;
+    return DIGEST_MODES.includes(value) && NON_URGENT_CATEGORIES.has(category);
+  });
+}
+
 app.post('/api/update-device-preferences', authRequired, async (req, res) => {
-  const { token, preferences, enabled } = req.body || {};
+  const { token, preferences, enabled, quietHours, dndDays } = req.body || {};
   if (!token) return res.status(400).send('token obbligatorio');
+  if (!isValidPreferences(preferences)) return res.status(400).send('preferences non valide');
+  if (!isValidQuietSettings({ quietHours, dndDays })) {
+    return res.status(400).send('quietHours/dndDays non validi');
+  }
   const id = tokenId(token);
-  await db
-    .collection('notification_devices')
-    .doc(id)
-    .set(
-      {
-        preferences: preferences || {},
-        enabled: enabled !== false,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true },
-    );
+  const update = {
+    preferences: preferences || {},
+    enabled: enabled !== false,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (quietHours !== undefined) {
+    update.quietHours = quietHours ? { start: quietHours.start, end: quietHours.end } : null;
+  }
+  if (dndDays !== undefined) update.dndDays = dndDays ? [...new Set(dndDays)] : [];
+  await db.collection('notification_devices').doc(id).set(update, { merge: true });
   res.json({ ok: true });
 });
 
-async function collectDeviceTokensByUserIds(userIds, category) {
-  if (!userIds.length) return [];
-  const chunks = [];
-  for (let i = 0; i < userIds.length; i += 10) {
-    chunks.push(userIds.slice(i, i + 10));
-  }
-
-  const tokens = [];
-  for (const group of chunks) {
-    const snap = await db
-      .collection('notification_devices')
-      .where('enabled', '==', true)
-      .where('userId', 'in', group)
-      .get();
-
-    snap.forEach((doc) => {
-      const data = doc.data();
-      const allow = data.preferences?.[category];
-      if (allow === false) return;
-      if (data.token) tokens.push(data.token);
-    });
-  }
-  return [...new Set(tokens)];
-}
-
-async function sendToUsers({ userIds, title, body, link, category }) {
-  const tokens = await collectDeviceTokensByUserIds(userIds, category);
-  if (!tokens.length) return { success: 0, failure: 0 };
-  const response = await messaging.sendEachForMulticast({
-    tokens,
-    data: {
-      title,
-      body,
-      link: link || APP_BASE_URL || '/',
-      category,
-    },
-    webpush: {
-      fcmOptions: {
-        link: link || APP_BASE_URL || '/',
-      },
-    },
-  });
+function serializeDevice(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
   return {
-    success: response.successCount,
-    failure: response.failureCount,
+    id: doc.id,
+    userId: data.userId,
+    name: data.name || null,
+    platform: data.platform || 'unknown',
+    enabled: data.enabled !== false,
+    disabledReason: data.disabledReason || null,
+    preferences: data.preferences || {},
+    quietHours: data.quietHours || null,
+    dndDays: data.dndDays || [],
+    timeZone: data.timeZone || null,
+    locale: data.locale || null,
+    failureStreak: Number(data.failureStreak) || 0,
+    lastFailureReason: data.lastFailureReason || null,
+    lastSeenAt: iso(data.lastSeenAt),
+    lastSuccessAt: iso(data.lastSuccessAt),
+    lastFailureAt: iso(data.lastFailureAt),
+    createdAt: iso(data.createdAt),
   };
 }
 
-async function collectUserIdsByLinkedPersonIds(personIds) {
-  const cleanIds = [...new Set((personIds || []).map(String).filter(Boolean))];
-  if (!cleanIds.length) return [];
-  const chunks = [];
-  for (let i = 0; i < cleanIds.length; i += 10) {
-    chunks.push(cleanIds.slice(i, i + 10));
-  }
-
-  const recipients = [];
-  for (const group of chunks) {
-    const usersSnap = await db
-      .collection('users')
-      .where('active', '==', true)
-      .where('linkedPersonId', 'in', group)
-      .get();
-    recipients.push(...usersSnap.docs.map((d) => d.id));
-  }
-  return [...new Set(recipients)];
+async function listUserDevices(userId) {
+  const snap = await db.collection('notification_devices').where('userId', '==', userId).get();
+  return snap.docs
+    .map(serializeDevice)
+    .sort((a, b) => String(b.lastSeenAt || '').localeCompare(String(a.lastSeenAt || '')));
 }
 
-function assertCronSecret(req, res) {
-  const secret = req.headers['x-cron-secret'];
-  if (!CRON_SECRET || secret !== CRON_SECRET) {
-    res.status(401).send('Cron secret non valido');
-    return false;
+async function getOwnDevice(req, res) {
+  if (!isValidDocId(req.params.id)) {
+    res.status(404).send('Dispositivo non trovato');
+    return null;
   }
-  return true;
+  const snap = await db.collection('notification_devices').doc(req.params.id).get();
+  if (!snap.exists || snap.data().userId !== req.auth.uid) {
+    res.status(404).send('Dispositivo non trovato');
+    return null;
+  }
+  return snap;
 }
 
-function getISODateWithDaysOffset(daysBefore) {
-  const date = new Date();
-  date.setHours(0, 0, 0, 0);
-  date.setDate(date.getDate() + daysBefore);
-  return date.toISOString().slice(0, 10);
+async function sendTestPush(deviceSnap) {
+  const data = deviceSnap.data();
+  if (!data.token) return null;
+  const texts = renderTemplate('device_test', data.locale, {}, DEFAULT_LOCALE);
+  const { deliveries } = await deliverToDevices(
+    [
+      {
+        id: deviceSnap.id,
+        token: data.token,
+        userId: data.userId,
+        failureStreak: Number(data.failureStreak) || 0,
+        platform: data.platform || 'unknown',
+      },
+    ],
+    { ...texts, link: APP_BASE_URL || '/', category: 'announcements' },
+  );
+  return { success: deliveries[0].success, error: deliveries[0].error };
 }
 
-app.post(
-  '/api/admin/send-notification',
-  authRequired,
-  requireRootRole,
-  async (req, res) => {
-    const { target, role, userIds, title, body, link, category } = req.body || {};
-    if (!title || !body || !category) return res.status(400).send('Payload non valido');
-
-    let recipients = [];
-    if (target === 'all') {
-      const usersSnap = await db.collection('users').where('active', '==', true).get();
-      recipients = usersSnap.docs.map((d) => d.id);
-    } else if (target === 'role') {
-      const usersSnap = await db
-        .collection('users')
-        .where('active', '==', true)
-        .where('role', '==', role || 'member')
-        .get();
-      recipients = usersSnap.docs.map((d) => d.id);
-    } else if (target === 'users') {
-      recipients = Array.isArray(userIds) ? userIds : [];
-    } else {
-      return res.status(400).send('target non valido');
-    }
+app.get('/api/me/devices', authRequired, async (req, res) => {
+  res.json({ ok: true, items: await listUserDevices(req.auth.uid) });
+});
 
-    const result = await sendToUsers({
-      userIds: recipients,
-      title,
-      body,
-      link,
-      category,
+app.patch(
+  '/api/me/devices/:id',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).send('name obbligatorio');
+    const snap = await getOwnDevice(req, res);
+    if (!snap) return;
+    await snap.ref.update({
+      name: name.slice(0, 80),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    res.json({ ok: true });
+  }),
+);
 
-    res.json({ ok: true, ...result, recipients: recipients.length });
-  },
+app.delete(
+  '/api/me/devices/:id',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const snap = await getOwnDevice(req, res);
+    if (!snap) return;
+    await snap.ref.delete();
+    res.json({ ok: true });
+  }),
 );
 
-app.post('/api/events/emit', authRequired, requireManageRole, async (req, res) => {
-  const { type, data } = req.body || {};
-  if (!type) return res.status(400).send('type obbligatorio');
+app.post('/api/me/devices/logout-all', authRequired, async (req, res) => {
+  const keepId = req.body?.keepToken ? tokenId(req.body.keepToken) : null;
+  const snap = await db
+    .collection('notification_devices')
+    .where('userId', '==', req.auth.uid)
+    .where('enabled', '==', true)
+    .get();
+  const docs = snap.docs.filter((d) => d.id !== keepId);
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = db.batch();
+    docs.slice(i, i + 400).forEach((d) =>
+      batch.update(d.ref, {
+        enabled: false,
+        disabledReason: 'logout_all',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+    );
+    await batch.commit();
+  }
+  res.json({ ok: true, disabled: docs.length });
+});
 
-  let recipients = [];
-  let title = '';
-  let body = '';
-  let link = '/';
-  let category = 'announcements';
+app.post(
+  '/api/me/devices/:id/test',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const snap = await getOwnDevice(req, res);
+    if (!snap) return;
+    const result = await sendTestPush(snap);
+    if (!result) return res.status(400).send('Dispositivo senza token');
+    res.json({ ok: true, ...result });
+  }),
+);
 
-  if (type === 'assignment_changed') {
-    if (!data?.personId) return res.status(400).send('personId mancante');
-    const usersSnap = await db
-      .collection('users')
-      .where('active', '==', true)
-      .where('linkedPersonId', '==', String(data.personId))
-      .get();
-    recipients = usersSnap.docs.map((d) => d.id);
-    category = 'assignment';
-    title = 'Nuova assegnazione';
-    body = `Sei stato inserito/aggiornato in una scala (${data.serviceDate || ''}).`;
-    link = '/schedules';
-  } else if (type === 'service_songs_updated') {
-    const serviceId = String(data?.serviceId || '');
-    if (!serviceId) return res.status(400).send('serviceId mancante');
-    const scheduleSnap = await db.collection('schedules').get();
-    let assignments = [];
-    scheduleSnap.forEach((doc) => {
-      const services = doc.data().services || [];
-      const service = services.find((s) => s.serviceId === serviceId);
-      if (service) assignments = service.assignments || [];
-    });
-    const personIds = [...new Set(assignments.map((a) => a.personId).filter(Boolean))];
-    recipients = await collectUserIdsByLinkedPersonIds(personIds);
-    category = 'serviceSongs';
-    title = 'Repertorio aggiornato';
-    body = `Sono state aggiornate le canzoni del culto (${data.songsCount || 0}).`;
-    link = `/services/${serviceId}`;
-  } else if (type === 'announcement_created') {
-    const usersSnap = await db.collection('users').where('active', '==', true).get();
-    recipients = usersSnap.docs.map((d) => d.id);
-    category = 'announcements';
-    title = 'Nuovo annuncio';
-    body = String(data?.title || 'Nuovo annuncio disponibile');
-    link = '/';
-  } else if (type === 'monthly_schedule_created') {
-    const usersSnap = await db.collection('users').where('active', '==', true).get();
-    recipients = usersSnap.docs.map((d) => d.id);
-    category = 'monthlySchedule';
-    title = 'Nuova scala mensile';
-    body = `La scala del mese ${data?.month || ''} è disponibile.`;
-    link = '/schedules';
-  } else if (type === 'catalog_song_created') {
-    const usersSnap = await db.collection('users').where('active', '==', true).get();
-    recipients = usersSnap.docs.map((d) => d.id);
-    category = 'catalog';
-    title = 'Nuova canzone in catalogo';
-    body = String(data?.title || 'È stata aggiunta una nuova canzone.');
-    link = '/songs';
-  } else {
-    return res.status(400).send('type non supportato');
+function serializeInboxItem(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return {
+    id: doc.id,
+    logId: data.logId || null,
+    title: data.title,
+    body: data.body,
+    link: data.link,
+    category: data.category,
+    read: Boolean(data.read),
+    readAt: iso(data.readAt),
+    createdAt: iso(data.createdAt),
+  };
+}
+
+async function getOwnInboxItem(req, res) {
+  if (!isValidDocId(req.params.id)) {
+    res.status(404).send('Notifica non trovata');
+    return null;
+  }
+  const snap = await db.collection('notification_inbox').doc(req.params.id).get();
+  if (!snap.exists || snap.data().userId !== req.auth.uid) {
+    res.status(404).send('Notifica non trovata');
+    return null;
   }
+  return snap;
+}
 
-  const result = await sendToUsers({
-    userIds: recipients,
-    title,
-    body,
-    link,
-    category,
-  });
-  res.json({ ok: true, ...result, recipients: recipients.length });
-});
+app.get(
+  '/api/me/notifications',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
 
-app.post('/api/cron/remind-next-month-schedule', async (req, res) => {
-  if (!assertCronSecret(req, res)) return;
+    let query = db.collection('notification_inbox').where('userId', '==', req.auth.uid);
+    if (req.query.unread === 'true') query = query.where('read', '==', false);
+    query = query.orderBy('createdAt', 'desc');
 
-  const now = new Date();
-  const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  const reminderStart = new Date(nextMonthStart);
-  reminderStart.setDate(reminderStart.getDate() - 7);
-  if (now < reminderStart) {
-    return res.json({ ok: true, skipped: true, reason: 'outside reminder window' });
-  }
+    if (cursor) {
+      if (!isValidDocId(String(cursor))) return res.status(400).send('cursor non valido');
+      const cursorSnap = await db.collection('notification_inbox').doc(String(cursor)).get();
+      if (!cursorSnap.exists || cursorSnap.data().userId !== req.auth.uid) {
+        return res.status(400).send('cursor non valido');
+      }
+      query = query.startAfter(cursorSnap);
+    }
 
-  const month = `${nextMonthStart.getFullYear()}-${String(
-    nextMonthStart.getMonth() + 1,
-  ).padStart(2, '0')}`;
+    const [snap, userSnap] = await Promise.all([
+      query.limit(limit).get(),
+      db.collection('users').doc(req.auth.uid).get(),
+    ]);
+    const items = snap.docs.map(serializeInboxItem);
+    const nextCursor = snap.size === limit ? snap.docs[snap.size - 1].id : null;
+    const unread = Math.max(Number(userSnap.data()?.inboxUnread) || 0, 0);
+    res.json({ ok: true, items, nextCursor, unread });
+  }),
+);
 
-  const scheduleSnap = await db
-    .collection('schedules')
-    .where('month', '==', month)
-    .limit(1)
-    .get();
-  if (!scheduleSnap.empty) {
-    return res.json({ ok: true, skipped: true, reason: 'schedule already exists' });
-  }
+app.post(
+  '/api/me/notifications/read-all',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const snap = await db
+      .collection('notification_inbox')
+      .where('userId', '==', req.auth.uid)
+      .where('read', '==', false)
+      .get();
+    for (let i = 0; i < snap.docs.length; i += 400) {
+      const batch = db.batch();
+      snap.docs
+        .slice(i, i + 400)
+        .forEach((doc) =>
+          batch.update(doc.ref, {
+            read: true,
+            readAt: admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        );
+      await batch.commit();
+    }
+    await db.collection('users').doc(req.auth.uid).set({ inboxUnread: 0 }, { merge: true });
+    res.json({ ok: true, updated: snap.size });
+  }),
+);
 
-  const adminsSnap = await db
-    .collection('users')
-    .where('active', '==', true)
-    .where('role', '==', 'root')
-    .get();
-  const recipients = adminsSnap.docs.map((d) => d.id);
-  const result = await sendToUsers({
-    userIds: recipients,
-    title: 'Promemoria scala mensile',
-    body: `Manca la scala di ${month}. Generala appena possibile.`,
-    link: '/schedules/generate',
-    category: 'reminder',
-  });
+app.post(
+  '/api/me/notifications/:id/read',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const snap = await getOwnInboxItem(req, res);
+    if (!snap) return;
+    await db.runTransaction(async (tx) => {
+      const item = await tx.get(snap.ref);
+      if (!item.exists || item.data().read) return;
+      tx.update(snap.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+      tx.set(
+        db.collection('users').doc(req.auth.uid),
+        { inboxUnread: admin.firestore.FieldValue.increment(-1) },
+        { merge: true },
+      );
+    });
+    res.json({ ok: true });
+  }),
+);
+
+app.delete(
+  '/api/me/notifications/:id',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const snap = await getOwnInboxItem(req, res);
+    if (!snap) return;
+    await db.runTransaction(async (tx) => {
+      const item = await tx.get(snap.ref);
+      if (!item.exists) return;
+      tx.delete(snap.ref);
+      if (!item.data().read) {
+        tx.set(
+          db.collection('users').doc(req.auth.uid),
+          { inboxUnread: admin.firestore.FieldValue.increment(-1) },
+          { merge: true },
+        );
+      }
+    });
+    res.json({ ok: true });
+  }),
+);
 
-  res.json({ ok: true, month, recipients: recipients.length, ...result });
+app.get('/api/admin/users/:uid/devices', authRequired, requireRootRole, async (req, res) => {
+  res.json({ ok: true, items: await listUserDevices(req.params.uid) });
 });
 
-app.post('/api/cron/remind-service-songs-entry', async (req, res) => {
-  if (!assertCronSecret(req, res)) return;
+app.post(
+  '/api/admin/devices/:id/test',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Dispositivo non trovato');
+    const snap = await db.collection('notification_devices').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).send('Dispositivo non trovato');
+    const result = await sendTestPush(snap);
+    if (!result) return res.status(400).send('Dispositivo senza token');
+    res.json({ ok: true, ...result });
+  }),
+);
 
-  const daysBefore = Number(REMINDER_MINISTER_DAYS_BEFORE) || 3;
-  const targetDate = getISODateWithDaysOffset(daysBefore);
+const DEAD_TOKEN_ERRORS = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+]);
 
-  const servicesSnap = await db
-    .collection('services')
-    .where('date', '==', targetDate)
-    .get();
+const IN_QUERY_CHUNK_SIZE = 10;
 
-  if (servicesSnap.empty) {
-    return res.json({ ok: true, targetDate, checkedServices: 0, notifiedServices: 0 });
+// Firestore limits `in` filters, so split the values and run the chunks in parallel.
+async function queryInChunks(values, buildQuery) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += IN_QUERY_CHUNK_SIZE) {
+    chunks.push(values.slice(i, i + IN_QUERY_CHUNK_SIZE));
   }
+  const snaps = await Promise.all(chunks.map((group) => buildQuery(group).get()));
+  return snaps.flatMap((snap) => snap.docs);
+}
 
-  let notifiedServices = 0;
-  let totalRecipients = 0;
-  let totalSuccess = 0;
-  let totalFailure = 0;
+// userIdsWithDevices also counts devices where the category is switched off, so that opting out
+// of a push category does not turn into receiving it by email.
+async function collectDevicesByUserIds(userIds, category) {
+  if (!userIds.length) return { devices: [], userIdsWithDevices: new Set() };
+  const docs = await queryInChunks(userIds, (group) =>
+    db
+      .collection('notification_devices')
+      .where('enabled', '==', true)
+      .where('userId', 'in', group),
+  );
 
-  for (const doc of servicesSnap.docs) {
-    const service = { id: doc.id, ...(doc.data() || {}) };
-    const songsSnap = await db
-      .collection('services')
-      .doc(service.id)
-      .collection('songs')
-      .limit(1)
-      .get();
-    if (!songsSnap.empty) continue;
+  const devices = new Map();
+  const userIdsWithDevices = new Set();
+  docs.forEach((doc) => {
+    const data = doc.data();
+    if (!data.token) return;
+    userIdsWithDevices.add(data.userId);
+    const allow = data.preferences?.[category];
+    if (allow === false || devices.has(doc.id)) return;
+    devices.set(doc.id, {
+      id: doc.id,
+      token: data.token,
+      userId: data.userId,
+      failureStreak: Number(data.failureStreak) || 0,
+      platform: data.platform || 'unknown',
+      timeZone: isValidTimeZone(data.timeZone) ? data.timeZone : null,
+      quietHours: data.quietHours || null,
+      dndDays: data.dndDays || [],
+      locale: data.locale || null,
+      digestMode:
+        DIGEST_MODES.includes(allow) && NON_URGENT_CATEGORIES.has(category) ? allow : null,
+    });
+  });
+  return { devices: [...devices.values()], userIdsWithDevices };
+}
 
-    const month = String(service.date || '').slice(0, 7);
-    const scheduleSnap = await db
-      .collection('schedules')
-      .where('month', '==', month)
-      .limit(1)
-      .get();
+async function recordDeliveryResults(devices, responses) {
+  const failureReasons = {};
+  let disabled = 0;
+  const writes = [];
 
-    let recipients = [];
-    if (!scheduleSnap.empty) {
-      const schedule = scheduleSnap.docs[0].data();
-      const scheduleService = (schedule.services || []).find(
-        (s) => s.serviceId === service.id,
-      );
-      const worshipLeader = (scheduleService?.assignments || []).find(
-        (a) => a.positionId === WORSHIP_LEADER_POSITION_ID,
-      );
-      if (worshipLeader?.personId) {
-        recipients = await collectUserIdsByLinkedPersonIds([worshipLeader.personId]);
+  responses.forEach((r, idx) => {
+    const device = devices[idx];
+    if (!device) return;
+    const ref = db.collection('notification_devices').doc(device.id);
+    if (r.success) {
+      if (device.failureStreak > 0) {
+        writes.push([
+          ref,
+          {
+            failureStreak: 0,
+            lastSuccessAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        ]);
       }
+      return;
     }
 
-    if (!recipients.length) {
-      const ministersSnap = await db
-        .collection('users')
-        .where('active', '==', true)
-        .where('role', '==', 'minister')
-        .get();
-      recipients = ministersSnap.docs.map((u) => u.id);
+    const reason = r.error?.code || 'unknown';
+    failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+    const streak = device.failureStreak + 1;
+    const dead = DEAD_TOKEN_ERRORS.has(reason) || streak >= DEVICE_FAILURE_STREAK_LIMIT;
+    const update = {
+      failureStreak: streak,
+      lastFailureReason: reason,
+      lastFailureMessage: r.error?.message || '',
+      lastFailureAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (dead) {
+      update.enabled = false;
+      update.disabledReason = reason;
+      disabled += 1;
     }
+    writes.push([ref, update]);
+  });
 
-    const result = await sendToUsers({
-      userIds: recipients,
-      title: 'Promemoria repertorio culto',
-      body: `Mancano le canzoni per il culto ${service.name} (${service.date} ${service.startTime}).`,
-      link: `/services/${service.id}`,
-      category: 'reminder',
-    });
-
-    notifiedServices += 1;
-    totalRecipients += recipients.length;
-    totalSuccess += result.success;
-    totalFailure += result.failure;
+  for (let i = 0; i < writes.length; i += 400) {
+    const batch = db.batch();
+    writes.slice(i, i + 400).forEach(([ref, data]) => batch.set(ref, data, { merge: true }));
+    await batch.commit();
   }
 
-  return res.json({
-    ok: true,
-    targetDate,
-    checkedServices: servicesSnap.size,
-    notifiedServices,
-    recipients: totalRecipients,
-    success: totalSuccess,
-    failure: totalFailure,
+  return { failureReasons, disabled };
+}
+
+function mergeFailureReasons(target, source) {
+  Object.entries(source || {}).forEach(([reason, count]) => {
+    target[reason] = (target[reason] || 0) + count;
+  });
+  return target;
+}
+
+// A reminder for tomorrow that arrives three days late is worse than none: FCM drops
+// messages once the TTL expires.
+const CATEGORY_DELIVERY = {
+  assignment: { priority: 'high', ttlHours: 72 },
+  reminder: { priority: 'high', ttlHours: 12 },
+  serviceSongs: { priority: 'normal', ttlHours: 48 },
+  monthlySchedule: { priority: 'normal', ttlHours: 168 },
+  announcements: { priority: 'normal', ttlHours: 168 },
+  catalog: { priority: 'normal', ttlHours: 168 },
+  digest: { priority: 'normal', ttlHours: 24 },
+};
+const DEFAULT_DELIVERY = { priority: 'normal', ttlHours: 72 };
+
+function isKnownCategory(category) {
+  return typeof category === 'string' && Object.hasOwn(CATEGORY_DELIVERY, category);
+}
+
+function buildMessage({
+  title,
+  body,
+  link,
+  category,
+  badge,
+  actions = [],
+  image = null,
+  platform = 'unknown',
+}) {
+  const { priority, ttlHours } = CATEGORY_DELIVERY[category] || DEFAULT_DELIVERY;
+  const ttlSeconds = ttlHours * 60 * 60;
+  const high = priority === 'high';
+  const message = {
+    data: {
+      title,
+      body,
+      link,
+      category,
+      ...(badge === undefined ? {} : { badge: String(badge) }),
+      ...(actions.length ? { actions: JSON.stringify(actions) } : {}),
+      ...(image ? { image } : {}),
+    },
+  };
+
+  if (platform === 'android' || platform === 'unknown') {
+    message.android = {
+      priority: high ? 'high' : 'normal',
+      ttl: ttlSeconds * 1000,
+      notification: {
+        title,
+        body,
+        channelId: category,
+        tag: category,
+        ...(image ? { imageUrl: image } : {}),
+        ...(badge === undefined ? {} : { notificationCount: badge }),
+      },
+    };
+  }
+  if (platform === 'ios' || platform === 'unknown') {
+    message.apns = {
+      headers: {
+        'apns-priority': high ? '10' : '5',
+        'apns-expiration': String(Math.floor(Date.now() / 1000) + ttlSeconds),
+      },
+      payload: {
+        aps: {
+          alert: { title, body },
+          sound: 'default',
+          'thread-id': category,
+          ...(badge === undefined ? {} : { badge }),
+          ...(actions.length ? { category: actions.map((a) => a.action).join('_') } : {}),
+          ...(image ? { 'mutable-content': 1 } : {}),
+        },
+      },
+      ...(image ? { fcmOptions: { imageUrl: image } } : {}),
+    };
+  }
+  if (platform === 'web' || platform === 'unknown') {
+    message.webpush = {
+      headers: { TTL: String(ttlSeconds), Urgency: high ? 'high' : 'normal' },
+      notification: {
+        title,
+        body,
+        tag: category,
+        ...(PUSH_ICON_URL ? { icon: PUSH_ICON_URL } : {}),
+        ...(PUSH_BADGE_URL ? { badge: PUSH_BADGE_URL } : {}),
+        ...(image ? { image } : {}),
+        ...(actions.length
+          ? { actions: actions.map(({ action, title: label }) => ({ action, title: label })) }
+          : {}),
+        data: { link, actions },
+      },
+      fcmOptions: {
+        link,
+      },
+    };
+  }
+  return message;
+}
+
+async function deliverToDevices(devices, payload, badges = null) {
+  if (!devices.length) {
+    return {
+      result: { success: 0, failure: 0, disabledDevices: 0, failureReasons: {} },
+      deliveries: [],
+    };
+  }
+  // One message per device so each user gets their own unread badge.
+  const response = await messaging.sendEach(
+    devices.map((d) => ({
+      token: d.token,
+      ...buildMessage({ ...payload, badge: badges?.get(d.userId), platform: d.platform }),
+    })),
+  );
+  const responses = response.responses || [];
+  const { failureReasons, disabled } = await recordDeliveryResults(devices, responses);
+  return {
+    result: {
+      success: response.successCount,
+      failure: response.failureCount,
+      disabledDevices: disabled,
+      failureReasons,
+    },
+    deliveries: devices.map((d, idx) => ({
+      deviceId: d.id,
+      userId: d.userId,
+      success: Boolean(responses[idx]?.success),
+      error: responses[idx]?.error?.code || null,
+    })),
+  };
+}
+
+async function holdForQuietHours(held, payload, logId) {
+  for (let i = 0; i < held.length; i += 400) {
+    const batch = db.batch();
+    held.slice(i, i + 400).forEach(({ device, deliverAfter }) => {
+      batch.set(db.collection('held_notifications').doc(), {
+        deviceId: device.id,
+        userId: device.userId,
+        ...payload,
+        logId,
+        deliverAfter,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+}
+
+async function collectUserProfiles(userIds) {
+  const ids = [...new Set(userIds)].filter(Boolean);
+  const profiles = new Map();
+  for (let i = 0; i < ids.length; i += 100) {
+    const snaps = await db.getAll(
+      ...ids.slice(i, i + 100).map((id) => db.collection('users').doc(id)),
+    );
+    snaps.forEach((snap) => {
+      if (!snap.exists) return;
+      const data = snap.data();
+      profiles.set(snap.id, {
+        email: data.email || null,
+        emailPreferences: data.emailPreferences || {},
+        locale: isSupportedLocale(data.locale) ? normalizeLocale(data.locale) : null,
+        inboxUnread: Math.max(Number(data.inboxUnread) || 0, 0),
+        timeZone: isValidTimeZone(data.timeZone) ? data.timeZone : null,
+      });
+    });
+  }
+  return profiles;
+}
+
+async function writeInbox({ profiles, logId, render, link, category }) {
+  const userIds = [...profiles.keys()];
+  for (let i = 0; i < userIds.length; i += 200) {
+    const batch = db.batch();
+    userIds.slice(i, i + 200).forEach((userId) => {
+      const texts = render(profiles.get(userId).locale || DEFAULT_LOCALE);
+      batch.set(db.collection('notification_inbox').doc(`${logId}_${userId}`), {
+        userId,
+        logId,
+        title: texts.title,
+        body: texts.body,
+        link,
+        category,
+        read: false,
+        readAt: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      batch.set(
+        db.collection('users').doc(userId),
+        { inboxUnread: admin.firestore.FieldValue.increment(1) },
+        { merge: true },
+      );
+    });
+    await batch.commit();
+  }
+  // Read back after the increments: the profiles were loaded before, and concurrent sends or
+  // read-all calls may have moved the counter since.
+  const badges = new Map();
+  for (let i = 0; i < userIds.length; i += 100) {
+    const snaps = await db.getAll(
+      ...userIds.slice(i, i + 100).map((id) => db.collection('users').doc(id)),
+    );
+    snaps.forEach((snap) => {
+      badges.set(snap.id, Math.max(Number(snap.data()?.inboxUnread) || 0, 0));
+    });
+  }
+  return badges;
+}
+
+function groupDevicesByLocale(devices, profiles) {
+  const groups = new Map();
+  devices.forEach((device) => {
+    const locale =
+      profiles.get(device.userId)?.locale ||
+      (isSupportedLocale(device.locale) ? normalizeLocale(device.locale) : DEFAULT_LOCALE);
+    if (!groups.has(locale)) groups.set(locale, []);
+    groups.get(locale).push(device);
+  });
+  return groups;
+}
+
+async function sendEmailFallback({
+  userIds,
+  profiles,
+  userIdsWithDevices,
+  category,
+  link,
+  render,
+}) {
+  if (!mailer.enabled) return [];
+  const outcomes = [];
+  for (const userId of new Set(userIds)) {
+    const profile = profiles.get(userId);
+    if (!profile?.email) continue;
+    const pref = profile.emailPreferences[category];
+    const wantsEmail = pref === true || (pref !== false && !userIdsWithDevices.has(userId));
+    if (!wantsEmail) continue;
+
+    const locale = profile.locale || DEFAULT_LOCALE;
+    const button = renderTemplate('email_open_link', locale, {}, DEFAULT_LOCALE).title;
+    try {
+      await mailer.send({
+        to: profile.email,
+        ...renderEmail({ ...render(locale), link, button }, APP_BASE_URL),
+      });
+      outcomes.push({ userId, success: true, error: null });
+    } catch (err) {
+      outcomes.push({ userId, success: false, error: String(err?.message || err) });
+    }
+  }
+  return outcomes;
+}
+
+// true = always email, false = never; a missing category emails only users with no enabled device.
+function isValidEmailPreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) return false;
+  return Object.entries(preferences).every(
+    ([category, value]) => isKnownCategory(category) && typeof value === 'boolean',
+  );
+}
+
+app.get('/api/me/email-preferences', authRequired, async (req, res) => {
+  const snap = await db.collection('users').doc(req.auth.uid).get();
+  res.json({
+    ok: true,
+    categories: Object.keys(CATEGORY_DELIVERY),
+    email: snap.data()?.email || null,
+    preferences: snap.data()?.emailPreferences || {},
+  });
+});
+
+app.put('/api/me/email-preferences', authRequired, async (req, res) => {
+  const { preferences } = req.body || {};
+  if (!isValidEmailPreferences(preferences)) return res.status(400).send('preferences non valide');
+  await db
+    .collection('users')
+    .doc(req.auth.uid)
+    .set({ emailPreferences: preferences }, { mergeFields: ['emailPreferences'] });
+  res.json({ ok: true, preferences });
+});
+
+// Custom reminder rules carry their own texts next to a string key (`rule:<id>`), so stored
+// logs and digest entries can still be filtered and grouped by key.
+function storedTemplate(template) {
+  if (!template) return null;
+  return {
+    key: template.key,
+    vars: template.vars || {},
+    ...(template.texts ? { texts: template.texts } : {}),
+  };
+}
+
+function renderNotificationTemplate(template, locale) {
+  return renderTemplate(template.texts || template.key, locale, template.vars, DEFAULT_LOCALE);
+}
+
+async function queueForDigest(devices, { title, body, template, link, category, logId }) {
+  const modeByUser = new Map();
+  devices.forEach((d) => {
+    if (modeByUser.get(d.userId) !== 'daily') modeByUser.set(d.userId, d.digestMode);
+  });
+  const entries = [...modeByUser];
+  for (let i = 0; i < entries.length; i += 400) {
+    const batch = db.batch();
+    entries.slice(i, i + 400).forEach(([userId, mode]) => {
+      batch.set(db.collection('digest_queue').doc(), {
+        userId,
+        mode,
+        category,
+        title: title || null,
+        body: body || null,
+        template: storedTemplate(template),
+        link,
+        logId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+  return devices.map((d) => ({
+    deviceId: d.id,
+    userId: d.userId,
+    success: false,
+    error: null,
+    digest: modeByUser.get(d.userId),
+  }));
+}
+
+// Runs after the send: a failed write must not turn a delivered notification into an error.
+async function writeNotificationLog(logRef, data) {
+  try {
+    await logRef.set(data);
+  } catch (err) {
+    console.error(`notification log ${logRef.id}:`, err?.message || err);
+  }
+}
+
+async function sendToUsers({
+  userIds,
+  title,
+  body,
+  template,
+  link,
+  category,
+  source = 'system',
+  senderUid = null,
+  meta = {},
+  urgent = false,
+  inbox = true,
+  image = null,
+  now = new Date(),
+}) {
+  const targetLink = link || APP_BASE_URL || '/';
+  const logRef = db.collection('notification_log').doc();
+  const { devices: allDevices, userIdsWithDevices } = await collectDevicesByUserIds(
+    userIds,
+    category,
+  );
+  const devices = allDevices.filter((d) => urgent || !d.digestMode);
+  const digested = await queueForDigest(
+    allDevices.filter((d) => !urgent && d.digestMode),
+    { title, body, template, link: targetLink, category, logId: logRef.id },
+  );
+  const profiles = await collectUserProfiles(userIds);
+  const render = (locale) =>
+    template ? renderNotificationTemplate(template, locale) : { title, body };
+  const badges = inbox
+    ? await writeInbox({ profiles, logId: logRef.id, render, link: targetLink, category })
+    : null;
+  const groups = template
+    ? groupDevicesByLocale(devices, profiles)
+    : new Map([[null, devices]]);
+
+  const result = { success: 0, failure: 0, disabledDevices: 0, failureReasons: {} };
+  const deliveries = [];
+  let heldCount = 0;
+
+  for (const [locale, group] of groups) {
+    const texts = render(locale);
+    const actions = template
+      ? renderActions(template.key, locale, { ...meta, ...template.vars }, DEFAULT_LOCALE)
+      : [];
+    const payload = { ...texts, link: targetLink, category, actions, image };
+    const immediate = [];
+    const held = [];
+    group.forEach((device) => {
+      const deliverAfter =
+        !urgent && NON_URGENT_CATEGORIES.has(category)
+          ? getQuietWindowEnd(
+              now,
+              resolveTimeZone(device.timeZone, profiles.get(device.userId)?.timeZone),
+              device,
+            )
+          : null;
+      if (deliverAfter) held.push({ device, deliverAfter });
+      else immediate.push(device);
+    });
+
+    const sent = await deliverToDevices(immediate, payload, badges);
+    await holdForQuietHours(held, payload, logRef.id);
+
+    result.success += sent.result.success;
+    result.failure += sent.result.failure;
+    result.disabledDevices += sent.result.disabledDevices;
+    mergeFailureReasons(result.failureReasons, sent.result.failureReasons);
+    deliveries.push(
+      ...sent.deliveries.map((d) => ({ ...d, locale })),
+      ...held.map(({ device, deliverAfter }) => ({
+        deviceId: device.id,
+        userId: device.userId,
+        locale,
+        success: false,
+        error: null,
+        heldUntil: deliverAfter.toISOString(),
+      })),
+    );
+    heldCount += held.length;
+  }
+
+  deliveries.push(...digested);
+  const emails = await sendEmailFallback({
+    userIds,
+    profiles,
+    userIdsWithDevices,
+    category,
+    link: targetLink,
+    render,
+  });
+
+  const logTexts = render(DEFAULT_LOCALE);
+  await writeNotificationLog(logRef, {
+    ...logTexts,
+    template: storedTemplate(template),
+    link: targetLink,
+    category,
+    source,
+    senderUid,
+    meta,
+    recipients: [...new Set(userIds)],
+    recipientsCount: new Set(userIds).size,
+    deliveries,
+    emails,
+    held: heldCount,
+    digested: digested.length,
+    success: result.success,
+    failure: result.failure,
+    failureReasons: result.failureReasons,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {
+    ...result,
+    held: heldCount,
+    digested: digested.length,
+    emailSent: emails.filter((e) => e.success).length,
+    emailFailed: emails.filter((e) => !e.success).length,
+    logId: logRef.id,
+  };
+}
+
+async function collectUserIdsByLinkedPersonIds(personIds) {
+  const cleanIds = [...new Set((personIds || []).map(String).filter(Boolean))];
+  if (!cleanIds.length) return [];
+  const docs = await queryInChunks(cleanIds, (group) =>
+    db.collection('users').where('active', '==', true).where('linkedPersonId', 'in', group),
+  );
+  return [...new Set(docs.map((d) => d.id))];
+}
+
+function assertCronSecret(req, res) {
+  const secret = req.headers['x-cron-secret'];
+  if (!CRON_SECRET || secret !== CRON_SECRET) {
+    res.status(401).send('Cron secret non valido');
+    return false;
+  }
+  return true;
+}
+
+function serviceTemplateVars(service) {
+  return {
+    serviceName: service.name || '',
+    serviceDate: service.date || '',
+    startTime: service.startTime || '',
+  };
+}
+
+function getISODateWithDaysOffset(daysBefore, now = new Date(), timeZone = CHURCH_TIMEZONE) {
+  return getLocalISODate(now, timeZone, daysBefore);
+}
+
+function positionTopic(positionId) {
+  return `position_${String(positionId).replace(/[^a-zA-Z0-9-_.~%]/g, '_')}`;
+}
+
+// Topic sends cost one FCM call, but skip per-device preferences, quiet hours and digests.
+async function sendToTopic({
+  topic,
+  userIds,
+  title,
+  body,
+  link,
+  category,
+  source,
+  senderUid,
+  meta,
+  image = null,
+}) {
+  const targetLink = link || APP_BASE_URL || '/';
+  const logRef = db.collection('notification_log').doc();
+  const profiles = await collectUserProfiles(userIds);
+  await writeInbox({
+    profiles,
+    logId: logRef.id,
+    render: () => ({ title, body }),
+    link: targetLink,
+    category,
+  });
+
+  const failureReasons = {};
+  try {
+    await messaging.send({
+      topic,
+      ...buildMessage({ title, body, link: targetLink, category, image }),
+    });
+  } catch (err) {
+    failureReasons[err?.code || 'unknown'] = 1;
+  }
+  const success = Object.keys(failureReasons).length ? 0 : 1;
+
+  await writeNotificationLog(logRef, {
+    title,
+    body,
+    template: null,
+    link: targetLink,
+    category,
+    source,
+    senderUid,
+    meta,
+    topic,
+    recipients: [...new Set(userIds)],
+    recipientsCount: new Set(userIds).size,
+    deliveries: [],
+    emails: [],
+    held: 0,
+    digested: 0,
+    success,
+    failure: 1 - success,
+    failureReasons,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {
+    success,
+    failure: 1 - success,
+    disabledDevices: 0,
+    failureReasons,
+    held: 0,
+    digested: 0,
+    emailSent: 0,
+    emailFailed: 0,
+    logId: logRef.id,
+    topic,
+  };
+}
+
+async function sendAdminNotification(spec, message, { source, senderUid, meta }) {
+  const recipients = await resolveAdminRecipients(spec);
+  const targetMeta = {
+    ...meta,
+    target: spec.target,
+    role: spec.role,
+    positionIds: spec.positionIds,
+    month: spec.month,
+    serviceId: spec.serviceId,
+  };
+  const result = spec.viaTopic
+    ? await sendToTopic({
+        ...message,
+        topic: positionTopic(spec.positionIds[0]),
+        userIds: recipients,
+        source,
+        senderUid,
+        meta: targetMeta,
+      })
+    : await sendToUsers({ ...message, userIds: recipients, source, senderUid, meta: targetMeta });
+  return { recipients, result };
+}
+
+const ADMIN_TARGETS = ['all', 'role', 'users', 'position', 'service'];
+const ADMIN_TARGET_FIELDS = [
+  'target',
+  'role',
+  'userIds',
+  'positionIds',
+  'month',
+  'serviceId',
+  'viaTopic',
+];
+
+function pickAdminTarget(body) {
+  const { target, role, userIds, positionIds, month, serviceId, viaTopic } = body || {};
+  return {
+    target,
+    role: role || null,
+    userIds: Array.isArray(userIds) ? userIds.map(String) : [],
+    positionIds: Array.isArray(positionIds)
+      ? [...new Set(positionIds.map(String).filter(Boolean))]
+      : [],
+    month: month || null,
+    serviceId: serviceId ? String(serviceId) : null,
+    viaTopic: viaTopic === true,
+  };
+}
+
+// Topic members are synced from the announcements preference, so a topic can only carry that
+// category: another one would reach devices that turned it off.
+const TOPIC_CATEGORY = 'announcements';
+
+function validateAdminTarget(spec, category) {
+  if (!ADMIN_TARGETS.includes(spec.target)) return 'target non valido';
+  if (spec.target === 'position' && !spec.positionIds.length) {
+    return 'positionIds obbligatorio';
+  }
+  if (spec.target === 'service' && !spec.serviceId) return 'serviceId obbligatorio';
+  if (spec.month && !MONTH_PATTERN.test(spec.month)) return 'month non valido';
+  if (spec.viaTopic) {
+    if (FCM_TOPICS_ENABLED !== 'true') return 'Topic FCM non abilitati';
+    if (spec.target !== 'position' || spec.positionIds.length !== 1 || spec.month) {
+      return 'viaTopic richiede target position con una sola posizione e senza month';
+    }
+    if (category !== undefined && category !== TOPIC_CATEGORY) {
+      return `viaTopic è disponibile solo per la categoria ${TOPIC_CATEGORY}`;
+    }
+  }
+  return null;
+}
+
+// Without a month, "position" means anyone in that position from the current month onward.
+async function collectTargetAssignments({ target, month, serviceId }) {
+  if (target === 'service') {
+    const found = await findScheduleRefForService(serviceId);
+    return found?.scheduleService?.assignments || [];
+  }
+  const currentMonth = getISODateWithDaysOffset(0).slice(0, 7);
+  const schedulesSnap = month
+    ? await db.collection('schedules').where('month', '==', month).get()
+    : await db.collection('schedules').where('month', '>=', currentMonth).get();
+  return schedulesSnap.docs.flatMap((doc) =>
+    (doc.data().services || []).flatMap((service) => service.assignments || []),
+  );
+}
+
+async function resolveAdminRecipients({ target, role, userIds, positionIds, month, serviceId }) {
+  if (target === 'position' || target === 'service') {
+    const assignments = await collectTargetAssignments({ target, month, serviceId });
+    const wanted = positionIds || [];
+    const filtered = wanted.length
+      ? assignments.filter((a) => wanted.includes(a.positionId))
+      : assignments;
+    return collectUserIdsByLinkedPersonIds(filtered.map((a) => a.personId));
+  }
+  if (target === 'all') {
+    const usersSnap = await db.collection('users').where('active', '==', true).get();
+    return usersSnap.docs.map((d) => d.id);
+  }
+  if (target === 'role') {
+    const usersSnap = await db
+      .collection('users')
+      .where('active', '==', true)
+      .where('role', '==', role || 'member')
+      .get();
+    return usersSnap.docs.map((d) => d.id);
+  }
+  return Array.isArray(userIds) ? userIds : [];
+}
+
+// FCM rejects the whole message for a malformed imageUrl, so only plain http(s) URLs are kept.
+function isValidImageUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (err) {
+    return false;
+  }
+}
+
+function parseSendAt(sendAt) {
+  if (sendAt === undefined || sendAt === null || sendAt === '') return null;
+  const date = new Date(sendAt);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+app.post(
+  '/api/admin/send-notification',
+  authRequired,
+  requireRootRole,
+  async (req, res) => {
+    const { title, body, link, category, sendAt, image } = req.body || {};
+    if (!title || !body || !category) return res.status(400).send('Payload non valido');
+    if (image && !isValidImageUrl(image)) return res.status(400).send('image non valida');
+    const spec = pickAdminTarget(req.body);
+    const targetError = validateAdminTarget(spec, category);
+    if (targetError) return res.status(400).send(targetError);
+
+    const scheduledAt = parseSendAt(sendAt);
+    if (scheduledAt === undefined) return res.status(400).send('sendAt non valido');
+    if (scheduledAt && scheduledAt > new Date()) {
+      const ref = await db.collection('scheduled_notifications').add({
+        ...spec,
+        title,
+        body,
+        link: link || null,
+        image: image || null,
+        category,
+        sendAt: scheduledAt,
+        status: 'pending',
+        createdBy: req.appUser.id,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return res.json({ ok: true, scheduled: true, id: ref.id, sendAt: scheduledAt.toISOString() });
+    }
+
+    const { recipients, result } = await sendAdminNotification(
+      spec,
+      { title, body, link, category, image: image || null },
+      { source: 'admin', senderUid: req.appUser.id, meta: {} },
+    );
+
+    res.json({ ok: true, ...result, recipients: recipients.length });
+  },
+);
+
+app.post(
+  '/api/admin/send-notification/preview',
+  authRequired,
+  requireRootRole,
+  async (req, res) => {
+    const spec = pickAdminTarget(req.body);
+    const targetError = validateAdminTarget(spec, req.body?.category);
+    if (targetError) return res.status(400).send(targetError);
+
+    const recipients = await resolveAdminRecipients(spec);
+    const snaps = [];
+    for (let i = 0; i < recipients.length; i += 100) {
+      snaps.push(
+        ...(await db.getAll(
+          ...recipients.slice(i, i + 100).map((id) => db.collection('users').doc(id)),
+        )),
+      );
+    }
+    const items = snaps
+      .filter((snap) => snap.exists)
+      .map((snap) => ({
+        id: snap.id,
+        name: snap.data().name || null,
+        email: snap.data().email || null,
+        role: snap.data().role || 'member',
+        linkedPersonId: snap.data().linkedPersonId || null,
+      }))
+      .sort((a, b) => String(a.name || a.email).localeCompare(String(b.name || b.email)));
+    res.json({
+      ok: true,
+      count: items.length,
+      topic: spec.viaTopic ? positionTopic(spec.positionIds[0]) : null,
+      items,
+    });
+  },
+);
+
+function serializeScheduledNotification(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return {
+    id: doc.id,
+    ...data,
+    sendAt: iso(data.sendAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+    sentAt: iso(data.sentAt),
+    claimedAt: iso(data.claimedAt),
+  };
+}
+
+app.get(
+  '/api/admin/scheduled-notifications',
+  authRequired,
+  requireRootRole,
+  async (req, res) => {
+    const status = String(req.query.status || 'pending');
+    const snap = await db
+      .collection('scheduled_notifications')
+      .where('status', '==', status)
+      .orderBy('sendAt', 'asc')
+      .limit(100)
+      .get();
+    res.json({ ok: true, items: snap.docs.map(serializeScheduledNotification) });
+  },
+);
+
+app.patch(
+  '/api/admin/scheduled-notifications/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Invio programmato non trovato');
+    const ref = db.collection('scheduled_notifications').doc(req.params.id);
+    const { title, body, link, category, sendAt, image } = req.body || {};
+    const targetFields = ADMIN_TARGET_FIELDS.filter((field) => req.body?.[field] !== undefined);
+    const update = {};
+    if (title !== undefined) update.title = title;
+    if (body !== undefined) update.body = body;
+    if (link !== undefined) update.link = link || null;
+    if (image !== undefined) {
+      if (image && !isValidImageUrl(image)) return res.status(400).send('image non valida');
+      update.image = image || null;
+    }
+    if (category !== undefined) update.category = category;
+    if (sendAt !== undefined) {
+      const scheduledAt = parseSendAt(sendAt);
+      if (!scheduledAt || scheduledAt <= new Date()) {
+        return res.status(400).send('sendAt non valido');
+      }
+      update.sendAt = scheduledAt;
+    }
+    if (update.title === '' || update.body === '' || update.category === '') {
+      return res.status(400).send('Payload non valido');
+    }
+
+    const outcome = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return 404;
+      if (snap.data().status !== 'pending') return 409;
+      let spec = {};
+      if (targetFields.length || update.category !== undefined) {
+        const merged = pickAdminTarget({
+          ...snap.data(),
+          ...Object.fromEntries(targetFields.map((field) => [field, req.body[field]])),
+        });
+        const targetError = validateAdminTarget(merged, update.category ?? snap.data().category);
+        if (targetError) return targetError;
+        if (targetFields.length) spec = merged;
+      }
+      tx.update(ref, {
+        ...spec,
+        ...update,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return 200;
+    });
+    if (typeof outcome === 'string') return res.status(400).send(outcome);
+    if (outcome === 404) return res.status(404).send('Invio programmato non trovato');
+    if (outcome === 409) return res.status(409).send('Invio programmato non più modificabile');
+    res.json({ ok: true });
+  }),
+);
+
+app.delete(
+  '/api/admin/scheduled-notifications/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Invio programmato non trovato');
+    const ref = db.collection('scheduled_notifications').doc(req.params.id);
+    const outcome = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return 404;
+      if (snap.data().status !== 'pending') return 409;
+      tx.update(ref, {
+        status: 'cancelled',
+        cancelledBy: req.appUser.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return 200;
+    });
+    if (outcome === 404) return res.status(404).send('Invio programmato non trovato');
+    if (outcome === 409) return res.status(409).send('Invio programmato non più annullabile');
+    res.json({ ok: true });
+  }),
+);
+
+function serializeLogEntry(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+  };
+}
+
+app.get(
+  '/api/admin/notifications',
+  authRequired,
+  requireManageRole,
+  asyncRoute(async (req, res) => {
+    const { from, to, category, source, userId, cursor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    let query = db.collection('notification_log');
+    if (category) query = query.where('category', '==', String(category));
+    if (source) query = query.where('source', '==', String(source));
+    if (userId) query = query.where('recipients', 'array-contains', String(userId));
+    if (from) {
+      const fromDate = new Date(String(from));
+      if (Number.isNaN(fromDate.getTime())) return res.status(400).send('from non valido');
+      query = query.where('createdAt', '>=', fromDate);
+    }
+    if (to) {
+      const toDate = new Date(String(to));
+      if (Number.isNaN(toDate.getTime())) return res.status(400).send('to non valido');
+      query = query.where('createdAt', '<=', toDate);
+    }
+    query = query.orderBy('createdAt', 'desc');
+
+    if (cursor) {
+      if (!isValidDocId(String(cursor))) return res.status(400).send('cursor non valido');
+      const cursorSnap = await db.collection('notification_log').doc(String(cursor)).get();
+      if (!cursorSnap.exists) return res.status(400).send('cursor non valido');
+      query = query.startAfter(cursorSnap);
+    }
+
+    const snap = await query.limit(limit).get();
+    const items = snap.docs.map(serializeLogEntry);
+    const nextCursor = snap.size === limit ? snap.docs[snap.size - 1].id : null;
+    res.json({ ok: true, items, nextCursor });
+  }),
+);
+
+const WEBHOOK_EVENTS = ['monthly_schedule_created', 'service_songs_updated', 'assignment_changed'];
+
+function validateWebhookSubscription(body, partial = false) {
+  const { url, events, active } = body || {};
+  if ((!partial || url !== undefined) && !isValidWebhookUrl(url, WEBHOOK_ALLOWED_HOSTS)) {
+    return 'url non valido';
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || !events.length) return 'events obbligatorio';
+    if (!events.every((e) => WEBHOOK_EVENTS.includes(e))) return 'events non valido';
+  }
+  if (active !== undefined && typeof active !== 'boolean') return 'active non valido';
+  return null;
+}
+
+function serializeWebhookSubscription(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return {
+    id: doc.id,
+    url: data.url,
+    events: data.events || [],
+    description: data.description || '',
+    active: data.active !== false,
+    createdBy: data.createdBy || null,
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+function serializeWebhookDelivery(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return {
+    id: doc.id,
+    subscriptionId: data.subscriptionId,
+    url: data.url,
+    event: data.event,
+    status: data.status,
+    attempts: data.attempts || 0,
+    lastStatusCode: data.lastStatusCode ?? null,
+    lastError: data.lastError || null,
+    nextAttemptAt: iso(data.nextAttemptAt),
+    deliveredAt: iso(data.deliveredAt),
+    replayOf: data.replayOf || null,
+    createdAt: iso(data.createdAt),
+  };
+}
+
+// Claims the delivery before sending, so the immediate attempt and deliver-webhooks never post
+// it twice. The lease outlives the request timeout; if the process dies mid-send, the delivery
+// becomes due again once the lease expires.
+async function claimWebhookDelivery(ref, now) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const delivery = snap.data();
+    const due = delivery.nextAttemptAt && delivery.nextAttemptAt.toMillis() <= now.getTime();
+    if (!['pending', 'sending'].includes(delivery.status) || !due) return null;
+    tx.update(ref, {
+      status: 'sending',
+      nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS + 60 * 1000),
+    });
+    return delivery;
+  });
+}
+
+async function attemptWebhookDelivery(ref, now = new Date()) {
+  const delivery = await claimWebhookDelivery(ref, now);
+  if (!delivery) return null;
+  const subSnap = await db.collection('webhook_subscriptions').doc(delivery.subscriptionId).get();
+  const attempts = (delivery.attempts || 0) + 1;
+  const { statusCode, error } = subSnap.exists
+    ? await postWebhook({
+        url: delivery.url,
+        secret: subSnap.data().secret,
+        id: ref.id,
+        event: delivery.event,
+        payload: delivery.payload,
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+        allowedHosts: WEBHOOK_ALLOWED_HOSTS,
+      })
+    : { statusCode: null, error: 'Sottoscrizione eliminata' };
+
+  const update = {
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: error,
+    lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (!error) {
+    update.status = 'delivered';
+    update.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+    update.nextAttemptAt = null;
+  } else if (!subSnap.exists || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    update.status = 'dead';
+    update.nextAttemptAt = null;
+  } else {
+    update.status = 'pending';
+    update.nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(attempts));
+  }
+  await ref.update(update);
+  return { id: ref.id, ...update };
+}
+
+async function createWebhookDeliveries(event, data, subscriptions) {
+  const refs = [];
+  const batch = db.batch();
+  subscriptions.forEach((sub) => {
+    const ref = db.collection('webhook_deliveries').doc();
+    batch.set(ref, {
+      subscriptionId: sub.id,
+      url: sub.data().url,
+      event,
+      payload: { id: ref.id, event, createdAt: new Date().toISOString(), data },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    refs.push(ref);
+  });
+  if (refs.length) await batch.commit();
+  return refs;
+}
+
+async function dispatchWebhookEvent(event, data) {
+  const subsSnap = await db
+    .collection('webhook_subscriptions')
+    .where('active', '==', true)
+    .where('events', 'array-contains', event)
+    .get();
+  const refs = await createWebhookDeliveries(event, data, subsSnap.docs);
+  // First attempt right away; failures are picked up by deliver-webhooks.
+  Promise.all(refs.map((ref) => attemptWebhookDelivery(ref))).catch((err) =>
+    console.error('webhook:', err?.message || err),
+  );
+  return refs.length;
+}
+
+async function runDeliverWebhooksJob({ now = new Date() } = {}) {
+  const dueSnap = await db
+    .collection('webhook_deliveries')
+    .where('status', 'in', ['pending', 'sending'])
+    .where('nextAttemptAt', '<=', now)
+    .limit(200)
+    .get();
+  const results = [];
+  for (const doc of dueSnap.docs) {
+    const result = await attemptWebhookDelivery(doc.ref, now);
+    if (result) results.push(result);
+  }
+  return {
+    attempted: results.length,
+    delivered: results.filter((r) => r?.status === 'delivered').length,
+    retrying: results.filter((r) => r?.status === 'pending').length,
+    dead: results.filter((r) => r?.status === 'dead').length,
+  };
+}
+
+app.get('/api/admin/webhooks', authRequired, requireRootRole, async (_req, res) => {
+  const snap = await db.collection('webhook_subscriptions').orderBy('createdAt', 'desc').get();
+  const items = snap.docs.map(serializeWebhookSubscription);
+  res.json({ ok: true, events: WEBHOOK_EVENTS, items });
+});
+
+app.post('/api/admin/webhooks', authRequired, requireRootRole, async (req, res) => {
+  const error = validateWebhookSubscription(req.body);
+  if (error) return res.status(400).send(error);
+  const { url, events, description, active } = req.body;
+  const secret = req.body.secret ? String(req.body.secret) : crypto.randomBytes(32).toString('hex');
+  const ref = await db.collection('webhook_subscriptions').add({
+    url: String(url),
+    events: [...new Set(events)],
+    description: String(description || ''),
+    secret,
+    active: active !== false,
+    createdBy: req.appUser.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  res.json({ ok: true, id: ref.id, secret });
+});
+
+app.patch(
+  '/api/admin/webhooks/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    const error = validateWebhookSubscription(req.body, true);
+    if (error) return res.status(400).send(error);
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Webhook non trovato');
+    const ref = db.collection('webhook_subscriptions').doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).send('Webhook non trovato');
+    const { url, events, description, active, rotateSecret } = req.body || {};
+    const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (url !== undefined) update.url = String(url);
+    if (events !== undefined) update.events = [...new Set(events)];
+    if (description !== undefined) update.description = String(description || '');
+    if (active !== undefined) update.active = active;
+    if (rotateSecret) update.secret = crypto.randomBytes(32).toString('hex');
+    await ref.update(update);
+    res.json({ ok: true, ...(update.secret ? { secret: update.secret } : {}) });
+  }),
+);
+
+app.delete(
+  '/api/admin/webhooks/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Webhook non trovato');
+    const ref = db.collection('webhook_subscriptions').doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).send('Webhook non trovato');
+    await ref.delete();
+    res.json({ ok: true });
+  }),
+);
+
+app.post(
+  '/api/admin/webhooks/:id/test',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Webhook non trovato');
+    const snap = await db.collection('webhook_subscriptions').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).send('Webhook non trovato');
+    const [ref] = await createWebhookDeliveries('ping', { message: 'ping' }, [snap]);
+    const result = await attemptWebhookDelivery(ref);
+    res.json({ ok: true, delivery: result });
+  }),
+);
+
+app.get(
+  '/api/admin/webhooks/deliveries',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    const { status, subscriptionId, cursor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    let query = db.collection('webhook_deliveries');
+    if (status) query = query.where('status', '==', String(status));
+    if (subscriptionId) query = query.where('subscriptionId', '==', String(subscriptionId));
+    query = query.orderBy('createdAt', 'desc');
+
+    if (cursor) {
+      if (!isValidDocId(String(cursor))) return res.status(400).send('cursor non valido');
+      const cursorSnap = await db.collection('webhook_deliveries').doc(String(cursor)).get();
+      if (!cursorSnap.exists) return res.status(400).send('cursor non valido');
+      query = query.startAfter(cursorSnap);
+    }
+
+    const snap = await query.limit(limit).get();
+    const items = snap.docs.map(serializeWebhookDelivery);
+    const nextCursor = snap.size === limit ? snap.docs[snap.size - 1].id : null;
+    res.json({ ok: true, items, nextCursor });
+  }),
+);
+
+app.post(
+  '/api/admin/webhooks/deliveries/:id/replay',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Consegna non trovata');
+    const snap = await db.collection('webhook_deliveries').doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).send('Consegna non trovata');
+    const original = snap.data();
+    const subSnap = await db.collection('webhook_subscriptions').doc(original.subscriptionId).get();
+    if (!subSnap.exists) return res.status(404).send('Webhook non trovato');
+    const ref = db.collection('webhook_deliveries').doc();
+    await ref.set({
+      subscriptionId: original.subscriptionId,
+      url: subSnap.data().url,
+      event: original.event,
+      payload: original.payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      replayOf: snap.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const result = await attemptWebhookDelivery(ref);
+    res.json({ ok: true, delivery: result });
+  }),
+);
+
+app.post('/api/events/emit', authRequired, requireManageRole, async (req, res) => {
+  const { type, data } = req.body || {};
+  if (!type) return res.status(400).send('type obbligatorio');
+
+  let recipients = [];
+  let vars = {};
+  let link = '/';
+  let category = 'announcements';
+
+  if (type === 'assignment_changed') {
+    if (!data?.personId) return res.status(400).send('personId mancante');
+    const usersSnap = await db
+      .collection('users')
+      .where('active', '==', true)
+      .where('linkedPersonId', '==', String(data.personId))
+      .get();
+    recipients = usersSnap.docs.map((d) => d.id);
+    category = 'assignment';
+    vars = { serviceDate: data.serviceDate || '' };
+    link = '/schedules';
+  } else if (type === 'service_songs_updated') {
+    const serviceId = String(data?.serviceId || '');
+    if (!serviceId) return res.status(400).send('serviceId mancante');
+    const found = await findScheduleRefForService(serviceId);
+    const assignments = found?.scheduleService?.assignments || [];
+    const personIds = [...new Set(assignments.map((a) => a.personId).filter(Boolean))];
+    recipients = await collectUserIdsByLinkedPersonIds(personIds);
+    category = 'serviceSongs';
+    vars = {
+      songsCount: data.songsCount || 0,
+      serviceId,
+      // Without a signature the link would need an Authorization header a push can't send.
+      ...(SETLIST_LINK_SECRET ? { setlistLink: setlistUrl(req, serviceId) } : {}),
+    };
+    link = `/services/${serviceId}`;
+  } else if (type === 'announcement_created') {
+    const usersSnap = await db.collection('users').where('active', '==', true).get();
+    recipients = usersSnap.docs.map((d) => d.id);
+    category = 'announcements';
+    vars = { title: data?.title || '' };
+    link = '/';
+  } else if (type === 'monthly_schedule_created') {
+    const usersSnap = await db.collection('users').where('active', '==', true).get();
+    recipients = usersSnap.docs.map((d) => d.id);
+    category = 'monthlySchedule';
+    vars = { month: data?.month || '' };
+    link = '/schedules';
+  } else if (type === 'catalog_song_created') {
+    const usersSnap = await db.collection('users').where('active', '==', true).get();
+    recipients = usersSnap.docs.map((d) => d.id);
+    category = 'catalog';
+    vars = { title: data?.title || '' };
+    link = '/songs';
+  } else {
+    return res.status(400).send('type non supportato');
+  }
+
+  const result = await sendToUsers({
+    userIds: recipients,
+    template: { key: type, vars },
+    link,
+    category,
+    source: `event:${type}`,
+    senderUid: req.appUser.id,
+    meta: data || {},
+  });
+  const webhooks = WEBHOOK_EVENTS.includes(type)
+    ? await dispatchWebhookEvent(type, data || {})
+    : 0;
+  res.json({ ok: true, ...result, recipients: recipients.length, webhooks });
+});
+
+async function createCalendarFeed(userId, scope) {
+  const activeSnap = await db
+    .collection('calendar_feeds')
+    .where('userId', '==', userId)
+    .where('scope', '==', scope)
+    .where('active', '==', true)
+    .get();
+  const token = crypto.randomBytes(24).toString('hex');
+  const batch = db.batch();
+  activeSnap.docs.forEach((doc) =>
+    batch.update(doc.ref, {
+      active: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }),
+  );
+  batch.set(db.collection('calendar_feeds').doc(tokenId(token)), {
+    userId,
+    scope,
+    active: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+  return token;
+}
+
+async function revokeCalendarFeeds(userId, scope) {
+  const activeSnap = await db
+    .collection('calendar_feeds')
+    .where('userId', '==', userId)
+    .where('scope', '==', scope)
+    .where('active', '==', true)
+    .get();
+  const batch = db.batch();
+  activeSnap.docs.forEach((doc) =>
+    batch.update(doc.ref, {
+      active: false,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }),
+  );
+  await batch.commit();
+  return activeSnap.size;
+}
+
+// Links handed out to calendars and notifications. Behind a proxy req.protocol is http and the
+// Host header is client-controlled, so API_BASE_URL is the source of truth when set.
+function publicApiUrl(req, path) {
+  const base = API_BASE_URL.replace(/\/+$/, '') || `${req.protocol}://${req.get('host')}`;
+  return `${base}${path}`;
+}
+
+function calendarFeedUrl(req, token) {
+  return publicApiUrl(req, `/api/calendar/${token}.ics`);
+}
+
+async function getNamesByIds(collection, ids) {
+  const cleanIds = [...new Set(ids.map(String).filter(Boolean))];
+  const names = new Map();
+  for (let i = 0; i < cleanIds.length; i += 100) {
+    const snaps = await db.getAll(
+      ...cleanIds.slice(i, i + 100).map((id) => db.collection(collection).doc(id)),
+    );
+    snaps.forEach((snap) => {
+      if (snap.exists) names.set(snap.id, snap.data().name || snap.id);
+    });
+  }
+  return names;
+}
+
+async function loadCalendarServices(personId) {
+  const { year, month } = getZonedParts(new Date(), CHURCH_TIMEZONE);
+  const fromMonth = new Date(Date.UTC(year, month - 3, 1)).toISOString().slice(0, 7);
+  const schedulesSnap = await db.collection('schedules').where('month', '>=', fromMonth).get();
+
+  const entries = [];
+  schedulesSnap.forEach((doc) => {
+    (doc.data().services || []).forEach((s) => {
+      const assignments = (s.assignments || []).filter(
+        (a) => a.personId && (!personId || String(a.personId) === String(personId)),
+      );
+      if (assignments.length) entries.push({ serviceId: s.serviceId, assignments });
+    });
+  });
+  if (!entries.length) return [];
+
+  const serviceSnaps = await db.getAll(
+    ...entries.map((e) => db.collection('services').doc(e.serviceId)),
+  );
+  const services = new Map(serviceSnaps.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+  return entries
+    .filter((e) => services.get(e.serviceId)?.date)
+    .map((e) => ({ ...e, service: services.get(e.serviceId) }));
+}
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function availabilityDocId(personId, month) {
+  return `${personId}_${month}`;
+}
+
+app.get('/api/availability/:month', authRequired, async (req, res) => {
+  const { month } = req.params;
+  if (!MONTH_PATTERN.test(month)) return res.status(400).send('month non valido');
+  const user = await getActiveAppUser(req.auth.uid);
+  if (!user) return res.status(403).send('Utente non attivo');
+
+  if (req.query.all === 'true') {
+    if (!['root', 'minister'].includes(user.role)) return res.status(403).send('Permesso negato');
+    const snap = await db.collection('availability').where('month', '==', month).get();
+    return res.json({
+      ok: true,
+      items: snap.docs.map((d) => ({
+        personId: d.data().personId,
+        dates: d.data().unavailableDates || [],
+      })),
+    });
+  }
+
+  if (!user.linkedPersonId) return res.status(403).send('Nessuna persona collegata');
+  const snap = await db
+    .collection('availability')
+    .doc(availabilityDocId(user.linkedPersonId, month))
+    .get();
+  res.json({
+    ok: true,
+    personId: user.linkedPersonId,
+    dates: snap.exists ? snap.data().unavailableDates || [] : [],
+  });
+});
+
+app.put('/api/availability/:month', authRequired, async (req, res) => {
+  const { month } = req.params;
+  if (!MONTH_PATTERN.test(month)) return res.status(400).send('month non valido');
+  const { dates, personId } = req.body || {};
+  if (!Array.isArray(dates)) return res.status(400).send('dates obbligatorio');
+  const validDate = (d) =>
+    typeof d === 'string' && d.startsWith(`${month}-`) && !Number.isNaN(Date.parse(d));
+  if (!dates.every(validDate)) {
+    return res.status(400).send('dates non valide');
+  }
+
+  const user = await getActiveAppUser(req.auth.uid);
+  if (!user) return res.status(403).send('Utente non attivo');
+  let targetPersonId = user.linkedPersonId;
+  if (personId && String(personId) !== String(user.linkedPersonId)) {
+    if (!['root', 'minister'].includes(user.role)) return res.status(403).send('Permesso negato');
+    targetPersonId = personId;
+  }
+  if (!targetPersonId) return res.status(403).send('Nessuna persona collegata');
+
+  await db
+    .collection('availability')
+    .doc(availabilityDocId(targetPersonId, month))
+    .set({
+      personId: String(targetPersonId),
+      month,
+      unavailableDates: [...new Set(dates)].sort(),
+      updatedBy: user.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  res.json({ ok: true });
+});
+
+app.post('/api/schedules/generate', authRequired, requireManageRole, async (req, res) => {
+  const { month } = req.body || {};
+  if (!MONTH_PATTERN.test(String(month || ''))) return res.status(400).send('month non valido');
+
+  const [servicesSnap, positionsSnap, peopleSnap, availabilitySnap] = await Promise.all([
+    db
+      .collection('services')
+      .where('date', '>=', `${month}-01`)
+      .where('date', '<=', `${month}-31`)
+      .get(),
+    db.collection('positions').get(),
+    db.collection('people').get(),
+    db.collection('availability').where('month', '==', month).get(),
+  ]);
+  if (servicesSnap.empty) return res.status(404).send('Nessun culto nel mese');
+
+  const services = servicesSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const positions = positionsSnap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((p) => p.active !== false)
+    .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+  const people = peopleSnap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((p) => p.active !== false);
+  const unavailable = {};
+  availabilitySnap.forEach((d) => {
+    unavailable[d.data().personId] = d.data().unavailableDates || [];
+  });
+
+  const draft = generateSchedule({ services, positions, people, unavailable });
+  await db
+    .collection('schedule_drafts')
+    .doc(month)
+    .set({
+      month,
+      ...draft,
+      status: 'draft',
+      generatedBy: req.appUser.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  res.json({ ok: true, month, ...draft });
+});
+
+// An edited draft may change who serves where, but only on the services the draft was built for.
+function validateDraftServices(services, draftServices) {
+  if (!Array.isArray(services)) return 'services non valido';
+  const draftIds = new Set((draftServices || []).map((s) => s.serviceId));
+  const seen = new Set();
+  for (const service of services) {
+    const { serviceId, assignments } = service || {};
+    if (!draftIds.has(serviceId) || seen.has(serviceId)) return 'services non valido';
+    seen.add(serviceId);
+    const validAssignments =
+      Array.isArray(assignments) &&
+      assignments.every(
+        (a) =>
+          a &&
+          typeof a.positionId === 'string' &&
+          a.positionId &&
+          (a.personId === null || (typeof a.personId === 'string' && a.personId)),
+      );
+    if (!validAssignments) return 'services non valido';
+  }
+  return null;
+}
+
+app.get('/api/schedules/drafts/:month', authRequired, requireManageRole, async (req, res) => {
+  if (!MONTH_PATTERN.test(req.params.month)) return res.status(400).send('month non valido');
+  const snap = await db.collection('schedule_drafts').doc(req.params.month).get();
+  if (!snap.exists) return res.status(404).send('Bozza non trovata');
+  const data = snap.data();
+  res.json({ ok: true, ...data, createdAt: data.createdAt?.toDate?.().toISOString() || null });
+});
+
+app.post(
+  '/api/schedules/drafts/:month/publish',
+  authRequired,
+  requireManageRole,
+  async (req, res) => {
+    const { month } = req.params;
+    if (!MONTH_PATTERN.test(month)) return res.status(400).send('month non valido');
+    const { services, overwrite } = req.body || {};
+    const draftRef = db.collection('schedule_drafts').doc(month);
+    const draftSnap = await draftRef.get();
+    if (!draftSnap.exists) return res.status(404).send('Bozza non trovata');
+    if (draftSnap.data().status !== 'draft') return res.status(409).send('Bozza già pubblicata');
+    if (services !== undefined) {
+      const error = validateDraftServices(services, draftSnap.data().services);
+      if (error) return res.status(400).send(error);
+    }
+
+    const existingSnap = await db
+      .collection('schedules')
+      .where('month', '==', month)
+      .limit(1)
+      .get();
+    if (!existingSnap.empty && overwrite !== true) {
+      return res.status(409).send('Scala del mese già esistente');
+    }
+
+    const scheduleRef = existingSnap.empty
+      ? db.collection('schedules').doc()
+      : existingSnap.docs[0].ref;
+    const batch = db.batch();
+    batch.set(
+      scheduleRef,
+      {
+        month,
+        services: services || draftSnap.data().services,
+        publishedBy: req.appUser.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+    batch.update(draftRef, {
+      status: 'published',
+      scheduleId: scheduleRef.id,
+      publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    const usersSnap = await db.collection('users').where('active', '==', true).get();
+    const recipients = usersSnap.docs.map((d) => d.id);
+    const result = await sendToUsers({
+      userIds: recipients,
+      template: { key: 'monthly_schedule_created', vars: { month } },
+      link: '/schedules',
+      category: 'monthlySchedule',
+      source: 'event:monthly_schedule_created',
+      senderUid: req.appUser.id,
+      meta: { month, scheduleId: scheduleRef.id },
+    });
+    const webhooks = await dispatchWebhookEvent('monthly_schedule_created', {
+      month,
+      scheduleId: scheduleRef.id,
+    });
+    res.json({
+      ok: true,
+      scheduleId: scheduleRef.id,
+      ...result,
+      recipients: recipients.length,
+      webhooks,
+    });
+  },
+);
+
+app.post('/api/calendar/feed', authRequired, async (req, res) => {
+  const token = await createCalendarFeed(req.auth.uid, 'personal');
+  res.json({ ok: true, url: calendarFeedUrl(req, token) });
+});
+
+app.delete('/api/calendar/feed', authRequired, async (req, res) => {
+  const revoked = await revokeCalendarFeeds(req.auth.uid, 'personal');
+  res.json({ ok: true, revoked });
+});
+
+app.post('/api/calendar/team-feed', authRequired, requireManageRole, async (req, res) => {
+  const token = await createCalendarFeed(req.appUser.id, 'team');
+  res.json({ ok: true, url: calendarFeedUrl(req, token) });
+});
+
+app.delete('/api/calendar/team-feed', authRequired, requireManageRole, async (req, res) => {
+  const revoked = await revokeCalendarFeeds(req.appUser.id, 'team');
+  res.json({ ok: true, revoked });
+});
+
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  const feedSnap = await db.collection('calendar_feeds').doc(tokenId(req.params.token)).get();
+  const feed = feedSnap.exists ? feedSnap.data() : null;
+  if (!feed || !feed.active) return res.status(404).send('Calendario non trovato');
+
+  const userSnap = await db.collection('users').doc(feed.userId).get();
+  const user = userSnap.exists ? userSnap.data() : null;
+  if (!user || !user.active) return res.status(404).send('Calendario non trovato');
+
+  const isTeam = feed.scope === 'team';
+  if (isTeam && !['root', 'minister'].includes(user.role)) {
+    return res.status(403).send('Permesso negato');
+  }
+  if (!isTeam && !user.linkedPersonId) {
+    return res.status(404).send('Nessuna persona collegata');
+  }
+
+  const entries = await loadCalendarServices(isTeam ? null : user.linkedPersonId);
+  const assignments = entries.flatMap((e) => e.assignments);
+  const positions = await getNamesByIds(
+    'positions',
+    assignments.map((a) => a.positionId),
+  );
+  const people = isTeam
+    ? await getNamesByIds(
+        'people',
+        assignments.map((a) => a.personId),
+      )
+    : new Map();
+  const durationMinutes = Number(SERVICE_DURATION_MINUTES) || 120;
+  const baseUrl = APP_BASE_URL.replace(/\/$/, '');
+
+  const events = isTeam
+    ? entries.map(({ serviceId, service, assignments: team }) => ({
+        uid: `${serviceId}@worship-schedule-team`,
+        date: service.date,
+        startTime: service.startTime,
+        durationMinutes,
+        summary: service.name || 'Culto',
+        description: team
+          .map(
+            (a) =>
+              `${positions.get(String(a.positionId)) || a.positionId}: ${
+                people.get(String(a.personId)) || a.personId
+              }`,
+          )
+          .join('\n'),
+        url: `${baseUrl}/services/${serviceId}`,
+      }))
+    : entries.flatMap(({ serviceId, service, assignments: mine }) =>
+        mine.map((a) => {
+          const position = positions.get(String(a.positionId)) || a.positionId || '';
+          return {
+            uid: `${serviceId}-${a.positionId}@worship-schedule`,
+            date: service.date,
+            startTime: service.startTime,
+            durationMinutes,
+            summary: position ? `${service.name || 'Culto'} – ${position}` : service.name,
+            description: [
+              `${service.name || 'Culto'} ${service.date} ${service.startTime || ''}`,
+              position,
+            ].join('\n'),
+            url: `${baseUrl}/services/${serviceId}`,
+          };
+        }),
+      );
+
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=900');
+  res.send(
+    buildCalendar({
+      name: isTeam ? 'Worship Schedule – Team' : `Worship Schedule – ${user.name || 'Turni'}`,
+      timeZone: CHURCH_TIMEZONE,
+      events,
+    }),
+  );
+});
+
+const SETLIST_FORMATS = ['json', 'chordpro', 'txt', 'pdf'];
+const SETLIST_LINK_TTL_DAYS = 30;
+
+function signSetlistLink(serviceId, format, expires) {
+  return crypto
+    .createHmac('sha256', SETLIST_LINK_SECRET)
+    .update(`${serviceId}:${format}:${expires}`)
+    .digest('hex');
+}
+
+// Notification links can't carry a Bearer token, so they are signed with SETLIST_LINK_SECRET.
+function setlistUrl(req, serviceId, format = 'pdf') {
+  const url = publicApiUrl(
+    req,
+    `/api/services/${encodeURIComponent(serviceId)}/setlist?format=${format}`,
+  );
+  const expires = Math.floor(Date.now() / 1000) + SETLIST_LINK_TTL_DAYS * 24 * 60 * 60;
+  return `${url}&expires=${expires}&sig=${signSetlistLink(serviceId, format, expires)}`;
+}
+
+const requireActiveUser = asyncRoute(async (req, res, next) => {
+  const user = await getActiveAppUser(req.auth.uid);
+  if (!user) return res.status(403).send('Utente non attivo');
+  req.appUser = user;
+  next();
+});
+
+function setlistAccess(req, res, next) {
+  if (!isValidDocId(req.params.id)) return res.status(404).send('Culto non trovato');
+  const { sig, expires } = req.query;
+  if (!sig) return authRequired(req, res, () => requireActiveUser(req, res, next));
+  const expected = SETLIST_LINK_SECRET
+    ? signSetlistLink(req.params.id, String(req.query.format || 'json'), String(expires))
+    : '';
+  const valid =
+    expected &&
+    Number(expires) * 1000 > Date.now() &&
+    expected.length === String(sig).length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(sig)));
+  if (!valid) return res.status(401).send('Link non valido o scaduto');
+  next();
+}
+
+async function loadSetlist(serviceId, { transpose }) {
+  const serviceSnap = await db.collection('services').doc(serviceId).get();
+  if (!serviceSnap.exists) return null;
+  const service = serviceSnap.data();
+  const songsSnap = await serviceSnap.ref.collection('songs').get();
+  const items = songsSnap.docs
+    .map((doc, idx) => ({ id: doc.id, idx, ...doc.data() }))
+    .sort((a, b) => (a.order ?? a.idx) - (b.order ?? b.idx));
+
+  const catalogIds = [...new Set(items.map((item) => item.songId).filter(Boolean))];
+  const catalogSnaps = catalogIds.length
+    ? await db.getAll(...catalogIds.map((id) => db.collection('songs').doc(String(id))))
+    : [];
+  const catalog = new Map(catalogSnaps.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+
+  const songs = items.map((item) => {
+    const song = catalog.get(String(item.songId)) || {};
+    const originalKey = song.key || item.originalKey || null;
+    const shift =
+      transpose && originalKey && item.key ? semitonesBetween(originalKey, item.key) : 0;
+    // A key the chords can't be moved to is not shown: the sheet stays in the original key.
+    const key =
+      shift === null ? originalKey : (transpose && item.key) || originalKey || item.key || null;
+    const semitones = shift || 0;
+    const content = song.chordpro || song.content || item.chordpro || item.content || '';
+    return {
+      id: item.id,
+      songId: item.songId || null,
+      order: item.order ?? item.idx,
+      title: item.title || song.title || '',
+      artist: item.artist || song.artist || '',
+      originalKey,
+      key,
+      semitones,
+      notes: item.notes || '',
+      content: transposeChordPro(content, semitones, prefersFlats(key)),
+    };
+  });
+
+  return {
+    service: {
+      id: serviceSnap.id,
+      name: service.name || '',
+      date: service.date || '',
+      startTime: service.startTime || '',
+    },
+    songs,
+  };
+}
+
+app.get(
+  '/api/services/:id/setlist',
+  setlistAccess,
+  asyncRoute(async (req, res) => {
+    const format = String(req.query.format || 'json');
+    if (!SETLIST_FORMATS.includes(format)) return res.status(400).send('format non valido');
+    const setlist = await loadSetlist(req.params.id, {
+      transpose: req.query.transpose !== 'false',
+    });
+    if (!setlist) return res.status(404).send('Culto non trovato');
+    if (format === 'json') return res.json({ ok: true, ...setlist });
+
+    const locale = isSupportedLocale(req.query.locale)
+      ? normalizeLocale(req.query.locale)
+      : DEFAULT_LOCALE;
+    const filename = `setlist-${setlist.service.date || setlist.service.id}`;
+    res.set('Cache-Control', 'private, max-age=300');
+    if (format === 'pdf') {
+      const pdf = buildTextPdf({
+        title: `${setlist.service.name} ${setlist.service.date}`.trim(),
+        lines: renderSetlistLines(setlist, locale),
+      });
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    if (format === 'chordpro') {
+      res.set('Content-Disposition', `inline; filename="${filename}.cho"`);
+      return res.send(renderSetlistChordPro(setlist));
+    }
+    res.set('Content-Disposition', `inline; filename="${filename}.txt"`);
+    res.send(renderSetlistText(setlist, locale));
+  }),
+);
+
+const ASSIGNMENT_RESPONSES = ['accepted', 'declined'];
+
+async function loadScheduleForMonth(month) {
+  if (!month) return null;
+  const scheduleSnap = await db
+    .collection('schedules')
+    .where('month', '==', month)
+    .limit(1)
+    .get();
+  return scheduleSnap.empty ? null : scheduleSnap.docs[0];
+}
+
+// services.date gives the month, and schedules are unique per month: a point read plus one
+// `month ==` query instead of scanning every schedule for the serviceId.
+async function findScheduleRefForService(serviceId) {
+  const serviceSnap = await db.collection('services').doc(serviceId).get();
+  if (!serviceSnap.exists) return null;
+  const service = { id: serviceSnap.id, ...serviceSnap.data() };
+  const scheduleDoc = await loadScheduleForMonth(String(service.date || '').slice(0, 7));
+  if (!scheduleDoc) return null;
+  const scheduleService = (scheduleDoc.data().services || []).find(
+    (s) => s.serviceId === service.id,
+  );
+  return { service, ref: scheduleDoc.ref, scheduleService: scheduleService || null };
+}
+
+async function collectUserIdsByRoles(roles) {
+  const usersSnap = await db
+    .collection('users')
+    .where('active', '==', true)
+    .where('role', 'in', roles)
+    .get();
+  return usersSnap.docs.map((d) => d.id);
+}
+
+app.post('/api/assignments/respond', authRequired, async (req, res) => {
+  const { serviceId, positionId, response, reason } = req.body || {};
+  if (!serviceId || !positionId) return res.status(400).send('serviceId e positionId obbligatori');
+  if (!ASSIGNMENT_RESPONSES.includes(response)) return res.status(400).send('response non valida');
+
+  const userSnap = await db.collection('users').doc(req.auth.uid).get();
+  const user = userSnap.exists ? userSnap.data() : null;
+  if (!user || !user.active) return res.status(403).send('Utente non attivo');
+  if (!user.linkedPersonId) return res.status(403).send('Nessuna persona collegata');
+
+  const found = await findScheduleRefForService(String(serviceId));
+  if (!found) return res.status(404).send('Culto non trovato');
+
+  const personId = String(user.linkedPersonId);
+  const cleanReason = String(reason || '').trim().slice(0, 500);
+  const outcome = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(found.ref);
+    const services = snap.data()?.services || [];
+    const service = services.find((s) => s.serviceId === String(serviceId));
+    const assignment = (service?.assignments || []).find(
+      (a) => a.positionId === String(positionId) && String(a.personId) === personId,
+    );
+    if (!assignment) return false;
+    assignment.status = response;
+    assignment.respondedAt = new Date().toISOString();
+    assignment.respondedBy = req.auth.uid;
+    assignment.declineReason = response === 'declined' ? cleanReason : null;
+    tx.update(found.ref, { services });
+    return true;
+  });
+  if (!outcome) return res.status(404).send('Assegnazione non trovata');
+
+  let notified = null;
+  if (response === 'declined') {
+    const positions = await getNamesByIds('positions', [positionId]);
+    const recipients = await collectUserIdsByRoles(['root', 'minister']);
+    notified = await sendToUsers({
+      userIds: recipients,
+      template: {
+        key: 'assignment_declined',
+        vars: {
+          ...serviceTemplateVars(found.service),
+          personName: user.name || user.email || personId,
+          positionName: positions.get(String(positionId)) || positionId,
+          reason: cleanReason,
+        },
+      },
+      link: `/services/${found.service.id}`,
+      category: 'assignment',
+      source: 'event:assignment_declined',
+      senderUid: req.auth.uid,
+      meta: { serviceId: found.service.id, positionId, personId },
+      urgent: true,
+    });
+  }
+
+  res.json({ ok: true, status: response, notified });
+});
+
+async function getActiveAppUser(uid) {
+  const userSnap = await db.collection('users').doc(uid).get();
+  const user = userSnap.exists ? userSnap.data() : null;
+  if (!user || !user.active) return null;
+  return { id: uid, ...user };
+}
+
+function serializeSwap(doc) {
+  const data = doc.data();
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+async function notifySwap(swap, userIds, key, senderUid) {
+  const positions = await getNamesByIds('positions', [swap.positionId]);
+  return sendToUsers({
+    userIds,
+    template: {
+      key,
+      vars: {
+        serviceName: swap.serviceName,
+        serviceDate: swap.serviceDate,
+        startTime: swap.startTime,
+        positionName: positions.get(String(swap.positionId)) || swap.positionId,
+        personName: swap.requesterName,
+      },
+    },
+    link: '/schedules',
+    category: 'assignment',
+    source: `event:${key}`,
+    senderUid,
+    meta: { swapId: swap.id, serviceId: swap.serviceId },
+    urgent: true,
+  });
+}
+
+function replaceAssignment(services, serviceId, positionId, fromPersonId, toPersonId) {
+  const service = services.find((s) => s.serviceId === serviceId);
+  const assignment = (service?.assignments || []).find(
+    (a) => a.positionId === positionId && String(a.personId) === String(fromPersonId),
+  );
+  if (!assignment) return false;
+  if ((service.assignments || []).some((a) => String(a.personId) === String(toPersonId))) {
+    return false;
+  }
+  assignment.personId = toPersonId;
+  assignment.status = null;
+  assignment.respondedAt = null;
+  assignment.declineReason = null;
+  return true;
+}
+
+async function applySwap(swapRef) {
+  const swapSnap = await swapRef.get();
+  const swap = swapSnap.data();
+  const primary = await findScheduleRefForService(swap.serviceId);
+  const secondary = swap.targetServiceId
+    ? await findScheduleRefForService(swap.targetServiceId)
+    : null;
+  if (!primary || (swap.targetServiceId && !secondary)) return false;
+
+  return db.runTransaction(async (tx) => {
+    const current = await tx.get(swapRef);
+    if (current.data().status !== 'accepted') return false;
+    const refs = [primary.ref];
+    if (secondary && secondary.ref.path !== primary.ref.path) refs.push(secondary.ref);
+    const snaps = await Promise.all(refs.map((ref) => tx.get(ref)));
+    const servicesByPath = new Map(
+      snaps.map((snap) => [snap.ref.path, snap.data()?.services || []]),
+    );
+
+    const ok =
+      replaceAssignment(
+        servicesByPath.get(primary.ref.path),
+        swap.serviceId,
+        swap.positionId,
+        swap.requesterPersonId,
+        swap.targetPersonId,
+      ) &&
+      (!secondary ||
+        replaceAssignment(
+          servicesByPath.get(secondary.ref.path),
+          swap.targetServiceId,
+          swap.positionId,
+          swap.targetPersonId,
+          swap.requesterPersonId,
+        ));
+    if (!ok) return false;
+
+    // The swap notifications already tell both people; the schedule watcher skips this write.
+    servicesByPath.forEach((services, path) =>
+      tx.update(db.doc(path), {
+        services,
+        lastChangeSource: 'swap',
+        lastChangeSwapId: swapRef.id,
+        lastChangeAt: admin.firestore.FieldValue.serverTimestamp(),
+      }),
+    );
+    tx.update(swapRef, {
+      status: 'approved',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+}
+
+// Only a swap still waiting to be applied becomes failed, never one already applied or cancelled.
+async function failAcceptedSwap(swapRef) {
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(swapRef);
+    if (snap.data()?.status !== 'accepted') return;
+    tx.update(swapRef, {
+      status: 'failed',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+}
+
+app.post(
+  '/api/swaps',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const { serviceId, positionId, targetPersonId, targetServiceId, reason } = req.body || {};
+    if (!serviceId || !positionId || !targetPersonId) {
+      return res.status(400).send('serviceId, positionId e targetPersonId obbligatori');
+    }
+    const user = await getActiveAppUser(req.auth.uid);
+    if (!user) return res.status(403).send('Utente non attivo');
+    if (!user.linkedPersonId) return res.status(403).send('Nessuna persona collegata');
+    if (String(targetPersonId) === String(user.linkedPersonId)) {
+      return res.status(400).send('targetPersonId non valido');
+    }
+
+    const found = await findScheduleRefForService(String(serviceId));
+    if (!found) return res.status(404).send('Culto non trovato');
+    const scheduleSnap = await found.ref.get();
+    const scheduleService = (scheduleSnap.data().services || []).find(
+      (s) => s.serviceId === String(serviceId),
+    );
+    const assignments = scheduleService?.assignments || [];
+    const mine = assignments.find(
+      (a) =>
+        a.positionId === String(positionId) && String(a.personId) === String(user.linkedPersonId),
+    );
+    if (!mine) return res.status(404).send('Assegnazione non trovata');
+    if (assignments.some((a) => String(a.personId) === String(targetPersonId))) {
+      return res.status(409).send('La persona è già in scala per questo culto');
+    }
+
+    const personSnap = await db.collection('people').doc(String(targetPersonId)).get();
+    if (!personSnap.exists) return res.status(404).send('Persona non trovata');
+    const skills = personSnap.data().positionIds;
+    if (Array.isArray(skills) && !skills.includes(String(positionId))) {
+      return res.status(400).send('La persona non copre questa posizione');
+    }
+
+    if (targetServiceId) {
+      const other = await findScheduleRefForService(String(targetServiceId));
+      const otherSnap = other ? await other.ref.get() : null;
+      const otherService = (otherSnap?.data()?.services || []).find(
+        (s) => s.serviceId === String(targetServiceId),
+      );
+      const theirs = (otherService?.assignments || []).find(
+        (a) => a.positionId === String(positionId) && String(a.personId) === String(targetPersonId),
+      );
+      if (!theirs) return res.status(404).send('Assegnazione da scambiare non trovata');
+    }
+
+    const swapRef = db.collection('swap_requests').doc();
+    const swap = {
+      serviceId: String(serviceId),
+      serviceName: found.service.name || '',
+      serviceDate: found.service.date || '',
+      startTime: found.service.startTime || '',
+      positionId: String(positionId),
+      targetServiceId: targetServiceId ? String(targetServiceId) : null,
+      requesterUid: user.id,
+      requesterName: user.name || user.email || user.id,
+      requesterPersonId: String(user.linkedPersonId),
+      targetPersonId: String(targetPersonId),
+      reason: String(reason || '')
+        .trim()
+        .slice(0, 500),
+      requireApproval: SWAP_REQUIRE_APPROVAL === 'true',
+      status: 'pending_target',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await swapRef.set(swap);
+
+    const targetUsers = await collectUserIdsByLinkedPersonIds([targetPersonId]);
+    await notifySwap({ id: swapRef.id, ...swap }, targetUsers, 'swap_requested', user.id);
+    res.json({ ok: true, id: swapRef.id, status: swap.status });
+  }),
+);
+
+app.get(
+  '/api/swaps',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const user = await getActiveAppUser(req.auth.uid);
+    if (!user) return res.status(403).send('Utente non attivo');
+
+    const canManage = ['root', 'minister'].includes(user.role);
+    let docs = [];
+    if (canManage && req.query.all === 'true') {
+      const snap = await db
+        .collection('swap_requests')
+        .orderBy('createdAt', 'desc')
+        .limit(100)
+        .get();
+      docs = snap.docs;
+    } else {
+      const queries = [db.collection('swap_requests').where('requesterUid', '==', user.id).get()];
+      if (user.linkedPersonId) {
+        queries.push(
+          db
+            .collection('swap_requests')
+            .where('targetPersonId', '==', String(user.linkedPersonId))
+            .get(),
+        );
+      }
+      const snaps = await Promise.all(queries);
+      const byId = new Map();
+      snaps.forEach((snap) => snap.docs.forEach((d) => byId.set(d.id, d)));
+      docs = [...byId.values()];
+    }
+    res.json({ ok: true, items: docs.map(serializeSwap) });
+  }),
+);
+
+app.post(
+  '/api/swaps/:id/respond',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    const { accept } = req.body || {};
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Richiesta non trovata');
+    const user = await getActiveAppUser(req.auth.uid);
+    if (!user) return res.status(403).send('Utente non attivo');
+
+    // Checked and changed in one transaction: a concurrent cancel or response is never overwritten.
+    const swapRef = db.collection('swap_requests').doc(req.params.id);
+    const { code, swap, status } = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(swapRef);
+      if (!snap.exists) return { code: 404 };
+      const current = { id: snap.id, ...snap.data() };
+      if (String(user.linkedPersonId || '') !== current.targetPersonId) return { code: 403 };
+      if (current.status !== 'pending_target') return { code: 409 };
+      let next = 'rejected';
+      if (accept === true) next = current.requireApproval ? 'pending_approval' : 'accepted';
+      tx.update(swapRef, {
+        status: next,
+        respondedBy: user.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { code: 200, swap: current, status: next };
+    });
+    if (code === 404) return res.status(404).send('Richiesta non trovata');
+    if (code === 403) return res.status(403).send('Permesso negato');
+    if (code === 409) return res.status(409).send('Richiesta già gestita');
+
+    const requesterUsers = [swap.requesterUid];
+    if (status === 'rejected') {
+      await notifySwap(swap, requesterUsers, 'swap_rejected', user.id);
+      return res.json({ ok: true, status });
+    }
+    if (status === 'pending_approval') {
+      const ministers = await collectUserIdsByRoles(['root', 'minister']);
+      await notifySwap(swap, ministers, 'swap_pending_approval', user.id);
+      return res.json({ ok: true, status });
+    }
+
+    const applied = await applySwap(swapRef);
+    if (!applied) {
+      await failAcceptedSwap(swapRef);
+      return res.status(409).send('La scala è cambiata, scambio non applicabile');
+    }
+    await notifySwap(swap, [...requesterUsers, user.id], 'swap_completed', user.id);
+    res.json({ ok: true, status: 'approved' });
+  }),
+);
+
+app.post(
+  '/api/swaps/:id/approve',
+  authRequired,
+  requireManageRole,
+  asyncRoute(async (req, res) => {
+    const { approve } = req.body || {};
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Richiesta non trovata');
+
+    // An approved swap moves to accepted here: a second approval or a late cancel gets a 409.
+    const swapRef = db.collection('swap_requests').doc(req.params.id);
+    const { code, swap, status } = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(swapRef);
+      if (!snap.exists) return { code: 404 };
+      const current = { id: snap.id, ...snap.data() };
+      if (current.status !== 'pending_approval') return { code: 409 };
+      const next = approve === true ? 'accepted' : 'rejected';
+      tx.update(swapRef, {
+        status: next,
+        reviewedBy: req.appUser.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { code: 200, swap: current, status: next };
+    });
+    if (code === 404) return res.status(404).send('Richiesta non trovata');
+    if (code === 409) return res.status(409).send('Richiesta non in attesa di approvazione');
+
+    const targetUsers = await collectUserIdsByLinkedPersonIds([swap.targetPersonId]);
+    const involved = [swap.requesterUid, ...targetUsers];
+    if (status === 'rejected') {
+      await notifySwap(swap, involved, 'swap_rejected', req.appUser.id);
+      return res.json({ ok: true, status });
+    }
+
+    const applied = await applySwap(swapRef);
+    if (!applied) {
+      await failAcceptedSwap(swapRef);
+      return res.status(409).send('La scala è cambiata, scambio non applicabile');
+    }
+    await notifySwap(swap, involved, 'swap_completed', req.appUser.id);
+    res.json({ ok: true, status: 'approved' });
+  }),
+);
+
+app.post(
+  '/api/swaps/:id/cancel',
+  authRequired,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Richiesta non trovata');
+    const swapRef = db.collection('swap_requests').doc(req.params.id);
+    const outcome = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(swapRef);
+      if (!snap.exists) return 404;
+      if (snap.data().requesterUid !== req.auth.uid) return 403;
+      if (!['pending_target', 'pending_approval'].includes(snap.data().status)) return 409;
+      tx.update(swapRef, {
+        status: 'cancelled',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return 200;
+    });
+    if (outcome === 404) return res.status(404).send('Richiesta non trovata');
+    if (outcome === 403) return res.status(403).send('Permesso negato');
+    if (outcome === 409) return res.status(409).send('Richiesta già gestita');
+    res.json({ ok: true, status: 'cancelled' });
+  }),
+);
+
+function getCronOptions(req) {
+  return {
+    dryRun: req.query.dryRun === 'true',
+    force: req.query.force === 'true',
+    serviceId: req.query.serviceId ? String(req.query.serviceId) : null,
+  };
+}
+
+const CRON_RUN_STALE_MS = 15 * 60 * 1000;
+
+function cronRunId({ job, targetDate, serviceId }) {
+  return [job, targetDate, serviceId].filter(Boolean).join('_');
+}
+
+async function claimCronRun({ job, targetDate, serviceId = null, force = false }) {
+  const ref = db.collection('cron_runs').doc(cronRunId({ job, targetDate, serviceId }));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const run = snap.exists ? snap.data() : null;
+    if (run && !force) {
+      if (run.status === 'sent') return null;
+      const startedAt = run.startedAt?.toMillis?.() || 0;
+      if (run.status === 'running' && Date.now() - startedAt < CRON_RUN_STALE_MS) return null;
+    }
+    tx.set(
+      ref,
+      {
+        job,
+        targetDate,
+        serviceId,
+        status: 'running',
+        forced: force,
+        attempts: admin.firestore.FieldValue.increment(1),
+        startedAt: admin.firestore.Timestamp.now(),
+      },
+      { merge: true },
+    );
+    return ref;
+  });
+}
+
+async function finishCronRun(ref, result) {
+  await ref.set(
+    {
+      status: 'sent',
+      result: {
+        success: result.success,
+        failure: result.failure,
+        logId: result.logId || null,
+      },
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true },
+  );
+}
+
+async function failCronRun(ref, err) {
+  await ref.set(
+    {
+      status: 'failed',
+      error: String(err?.message || err),
+      finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true },
+  );
+}
+
+function previewNotification({ userIds, title, body, template, link, category }) {
+  const texts = template ? renderNotificationTemplate(template, DEFAULT_LOCALE) : { title, body };
+  return {
+    recipients: [...new Set(userIds)],
+    ...texts,
+    link: link || APP_BASE_URL || '/',
+    category,
+  };
+}
+
+async function sendCronNotification(options, run, notification) {
+  if (options.dryRun) return { dryRun: true, preview: previewNotification(notification) };
+  const ref = await claimCronRun({ ...run, force: options.force });
+  if (!ref) return { skipped: true };
+  try {
+    const result = await sendToUsers({ ...notification, now: options.now });
+    await finishCronRun(ref, result);
+    return { result };
+  } catch (err) {
+    await failCronRun(ref, err);
+    throw err;
+  }
+}
+
+const RULE_TRIGGERS = ['service', 'monthly_schedule'];
+const RULE_AUDIENCES = ['team', 'positions', 'worship_leader', 'ministers', 'roots'];
+const RULE_FALLBACKS = ['ministers', 'roots'];
+const RULE_CONDITIONS = {
+  service: ['always', 'songs_missing', 'assignment_pending'],
+  monthly_schedule: ['always', 'schedule_missing'],
+};
+
+const SONGS_ESCALATION_STEPS = [
+  {
+    audience: { type: 'worship_leader', fallback: 'ministers' },
+    templateKey: 'escalate_service_songs_leader',
+  },
+  {
+    audience: { type: 'ministers', fallback: 'roots' },
+    templateKey: 'escalate_service_songs_ministers',
+  },
+  { audience: { type: 'roots' }, templateKey: 'escalate_service_songs_root' },
+];
+
+function parseEscalationDays(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n >= 0)
+    .slice(0, SONGS_ESCALATION_STEPS.length)
+    .map((offset, idx) => ({ ...SONGS_ESCALATION_STEPS[idx], offset }));
+}
+
+const DEFAULT_REMINDER_RULES = [
+  {
+    id: 'remind-next-month-schedule',
+    name: 'Scala del mese successivo mancante',
+    enabled: true,
+    trigger: 'monthly_schedule',
+    offsets: [7, 6, 5, 4, 3, 2, 1],
+    audience: { type: 'roots' },
+    condition: 'schedule_missing',
+    templateKey: 'remind_next_month_schedule',
+    link: '/schedules/generate',
+    category: 'reminder',
+  },
+  {
+    id: 'remind-service-songs-entry',
+    name: 'Repertorio del culto mancante',
+    enabled: true,
+    trigger: 'service',
+    offsets: [Number(REMINDER_MINISTER_DAYS_BEFORE) || 3],
+    audience: {
+      type: 'worship_leader',
+      positionIds: [WORSHIP_LEADER_POSITION_ID],
+      fallback: 'ministers',
+    },
+    condition: 'songs_missing',
+    templateKey: 'remind_service_songs_entry',
+    escalation: parseEscalationDays(SONGS_ESCALATION_DAYS_BEFORE),
+    link: '/services/{serviceId}',
+    category: 'reminder',
+  },
+  {
+    id: 'remind-upcoming-service-members',
+    name: 'Culto in arrivo',
+    enabled: true,
+    trigger: 'service',
+    offsets: [Number(REMINDER_MUSICIANS_DAYS_BEFORE) || 2],
+    audience: { type: 'team' },
+    condition: 'always',
+    templateKey: 'remind_upcoming_service_members',
+    link: '/services/{serviceId}',
+    category: 'reminder',
+  },
+  {
+    id: 'remind-pending-assignments',
+    name: 'Assegnazioni senza risposta',
+    enabled: true,
+    trigger: 'service',
+    offsets: [Number(ASSIGNMENT_CONFIRMATION_DAYS_BEFORE) || 5],
+    audience: { type: 'team' },
+    condition: 'assignment_pending',
+    templateKey: 'remind_assignment_confirmation',
+    link: '/services/{serviceId}',
+    category: 'assignment',
+  },
+];
+
+function validateReminderRule(input) {
+  const rule = input || {};
+  if (!rule.name || typeof rule.name !== 'string') return 'name obbligatorio';
+  if (!RULE_TRIGGERS.includes(rule.trigger)) return 'trigger non valido';
+  if (
+    !Array.isArray(rule.offsets) ||
+    !rule.offsets.length ||
+    !rule.offsets.every((o) => Number.isInteger(o) && o >= 0 && o <= 60)
+  ) {
+    return 'offsets non validi';
+  }
+  const audience = rule.audience || {};
+  if (!RULE_AUDIENCES.includes(audience.type)) return 'audience non valida';
+  if (audience.type === 'positions' && !(audience.positionIds || []).length) {
+    return 'audience.positionIds obbligatorio';
+  }
+  if (audience.fallback && !RULE_FALLBACKS.includes(audience.fallback)) {
+    return 'audience.fallback non valido';
+  }
+  if (rule.trigger === 'monthly_schedule' && !RULE_FALLBACKS.includes(audience.type)) {
+    return 'audience non valida per monthly_schedule';
+  }
+  if (!RULE_CONDITIONS[rule.trigger].includes(rule.condition || 'always')) {
+    return 'condition non valida';
+  }
+  // An unknown category would match no device or email preference.
+  if (rule.category && !isKnownCategory(rule.category)) return 'category non valida';
+  if (rule.link && !isValidAppLink(rule.link)) return 'link non valido';
+  const messageError = validateRuleMessage(rule);
+  if (messageError) return messageError;
+  if (rule.escalation !== undefined && rule.escalation !== null) {
+    if (rule.trigger !== 'service' || !Array.isArray(rule.escalation)) {
+      return 'escalation non valida';
+    }
+    for (const step of rule.escalation) {
+      if (!Number.isInteger(step?.offset) || step.offset < 0 || step.offset > 60) {
+        return 'escalation.offset non valido';
+      }
+      if (!RULE_AUDIENCES.includes(step.audience?.type)) return 'escalation.audience non valida';
+      const stepError = validateRuleMessage(step);
+      if (stepError) return `escalation: ${stepError}`;
+    }
+  }
+  return null;
+}
+
+// Rule links are opened by the app: a path (placeholders allowed) or a URL on APP_BASE_URL.
+function isValidAppLink(value) {
+  const link = String(value);
+  if (link.startsWith('/')) return !/^\/[/\\]/.test(link);
+  if (!APP_BASE_URL) return false;
+  try {
+    return new URL(link).origin === new URL(APP_BASE_URL).origin;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validateRuleMessage(rule) {
+  if (rule.templateKey) {
+    return TEMPLATES[rule.templateKey] ? null : 'templateKey sconosciuto';
+  }
+  const texts = rule.texts || {};
+  const locales = Object.keys(texts);
+  if (!locales.length) return 'templateKey o texts obbligatorio';
+  if (!locales.every((l) => texts[l]?.title && texts[l]?.body)) return 'texts non validi';
+  return null;
+}
+
+function sanitizeRuleAudience(audience = {}) {
+  return {
+    type: audience.type,
+    positionIds: (audience.positionIds || []).map(String),
+    fallback: audience.fallback || null,
+  };
+}
+
+function sanitizeReminderRule(input) {
+  return {
+    name: input.name,
+    enabled: input.enabled !== false,
+    trigger: input.trigger,
+    offsets: [...new Set(input.offsets)].sort((a, b) => b - a),
+    audience: sanitizeRuleAudience(input.audience),
+    condition: input.condition || 'always',
+    templateKey: input.templateKey || null,
+    texts: input.templateKey ? null : input.texts,
+    escalation: (input.escalation || []).map((step) => ({
+      offset: step.offset,
+      audience: sanitizeRuleAudience(step.audience),
+      templateKey: step.templateKey || null,
+      texts: step.templateKey ? null : step.texts,
+    })),
+    link: input.link || null,
+    category: input.category || 'reminder',
+  };
+}
+
+async function loadReminderRules() {
+  const snap = await db.collection('reminder_rules').get();
+  const rules = new Map(DEFAULT_REMINDER_RULES.map((r) => [r.id, { ...r, builtIn: true }]));
+  snap.docs.forEach((doc) => rules.set(doc.id, { id: doc.id, ...doc.data() }));
+  return [...rules.values()];
+}
+
+function createRuleLookups() {
+  const cache = new Map();
+  const memo = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load());
+    return cache.get(key);
+  };
+  return {
+    schedule: (month) => memo(`schedule:${month}`, () => loadScheduleForMonth(month)),
+    services: (date) =>
+      memo(`services:${date}`, async () => {
+        const snap = await db.collection('services').where('date', '==', date).get();
+        return snap.docs.map((d) => ({ id: d.id, ...(d.data() || {}) }));
+      }),
+    hasSongs: (serviceId) =>
+      memo(`songs:${serviceId}`, async () => {
+        const snap = await db
+          .collection('services')
+          .doc(serviceId)
+          .collection('songs')
+          .limit(1)
+          .get();
+        return !snap.empty;
+      }),
+    usersByRole: (role) => memo(`role:${role}`, () => collectUserIdsByRoles([role])),
+  };
+}
+
+async function resolveRuleAudience(rule, scheduleService, lookups) {
+  const { type, positionIds = [], fallback } = rule.audience || {};
+  let assignments = scheduleService?.assignments || [];
+  if (rule.condition === 'assignment_pending') {
+    assignments = assignments.filter((a) => !ASSIGNMENT_RESPONSES.includes(a.status));
+  }
+
+  let recipients = [];
+  if (type === 'ministers') recipients = await lookups.usersByRole('minister');
+  else if (type === 'roots') recipients = await lookups.usersByRole('root');
+  else {
+    const wanted =
+      type === 'worship_leader' && !positionIds.length
+        ? [WORSHIP_LEADER_POSITION_ID]
+        : positionIds;
+    const filtered =
+      type === 'team' ? assignments : assignments.filter((a) => wanted.includes(a.positionId));
+    recipients = await collectUserIdsByLinkedPersonIds(filtered.map((a) => a.personId));
+  }
+
+  if (!recipients.length && fallback) {
+    recipients = await lookups.usersByRole(fallback === 'roots' ? 'root' : 'minister');
+  }
+  return recipients;
+}
+
+function buildRuleNotification(rule, vars, recipients) {
+  return {
+    userIds: recipients,
+    template: rule.templateKey
+      ? { key: rule.templateKey, vars }
+      : { key: `rule:${rule.id}${rule.level ? `:${rule.level}` : ''}`, texts: rule.texts, vars },
+    link: interpolate(rule.link || '/', vars),
+    category: rule.category || 'reminder',
+    source: `cron:${rule.id}`,
+    meta: { ruleId: rule.id, ...vars },
+  };
+}
+
+function createRuleSummary(rule) {
+  return {
+    ruleId: rule.id,
+    targetDates: [],
+    checkedServices: 0,
+    notifiedServices: 0,
+    skippedServices: 0,
+    recipients: 0,
+    success: 0,
+    failure: 0,
+    disabledDevices: 0,
+    failureReasons: {},
+    preview: [],
+  };
+}
+
+function addOutcomeToSummary(summary, outcome, recipients, previewMeta) {
+  if (outcome.skipped) {
+    summary.skippedServices += 1;
+  } else if (outcome.dryRun) {
+    summary.preview.push({ ...previewMeta, ...outcome.preview });
+  } else {
+    summary.notifiedServices += 1;
+    summary.recipients += recipients.length;
+    summary.success += outcome.result.success;
+    summary.failure += outcome.result.failure;
+    summary.disabledDevices += outcome.result.disabledDevices;
+    mergeFailureReasons(summary.failureReasons, outcome.result.failureReasons);
+  }
+}
+
+async function evaluateMonthlyRule(rule, options, now, summary, lookups) {
+  // A run limited to one service (e.g. force=true&serviceId=) must not resend the monthly reminder.
+  if (options.serviceId) return;
+  const { month, daysUntilStart } = getNextMonthInfo(now, CHURCH_TIMEZONE);
+  if (!rule.offsets.includes(daysUntilStart)) return;
+  summary.targetDates.push(month);
+
+  if (rule.condition === 'schedule_missing' && (await lookups.schedule(month))) return;
+
+  const recipients = await resolveRuleAudience(rule, null, lookups);
+  if (!recipients.length) return;
+  const outcome = await sendCronNotification(
+    options,
+    { job: `rule:${rule.id}:${daysUntilStart}`, targetDate: month },
+    buildRuleNotification(rule, { month }, recipients),
+  );
+  addOutcomeToSummary(summary, outcome, recipients, { month });
+}
+
+function getRuleStages(rule) {
+  const stages = rule.offsets.map((offset) => ({ ...rule, offset, level: 0 }));
+  (rule.escalation || []).forEach((step, idx) => {
+    stages.push({
+      ...rule,
+      audience: step.audience,
+      templateKey: step.templateKey || null,
+      texts: step.templateKey ? null : step.texts,
+      offset: step.offset,
+      level: idx + 1,
+    });
   });
+  return stages;
+}
+
+async function recordEscalationStep(serviceId, stage, recipients, now) {
+  await db
+    .collection('services')
+    .doc(serviceId)
+    .set(
+      {
+        reminderEscalations: admin.firestore.FieldValue.arrayUnion({
+          ruleId: stage.id,
+          level: stage.level,
+          offset: stage.offset,
+          audience: stage.audience?.type || null,
+          recipients: recipients.length,
+          sentAt: now.toISOString(),
+        }),
+      },
+      { merge: true },
+    );
+}
+
+async function evaluateServiceRule(rule, options, now, summary, lookups) {
+  for (const stage of getRuleStages(rule)) {
+    const { offset, level } = stage;
+    const targetDate = getISODateWithDaysOffset(offset, now);
+    summary.targetDates.push(targetDate);
+    const services = (await lookups.services(targetDate)).filter(
+      (s) => !options.serviceId || s.id === options.serviceId,
+    );
+    const [songsFlags, schedules] = await Promise.all([
+      rule.condition === 'songs_missing'
+        ? Promise.all(services.map((s) => lookups.hasSongs(s.id)))
+        : [],
+      Promise.all(services.map((s) => lookups.schedule(String(s.date || '').slice(0, 7)))),
+    ]);
+
+    for (const [idx, service] of services.entries()) {
+      summary.checkedServices += 1;
+      if (songsFlags[idx]) continue;
+
+      const scheduleService =
+        (schedules[idx]?.data().services || []).find((s) => s.serviceId === service.id) ||
+        null;
+
+      const recipients = await resolveRuleAudience(stage, scheduleService, lookups);
+      if (!recipients.length) continue;
+
+      const vars = { ...serviceTemplateVars(service), serviceId: service.id, offset };
+      const outcome = await sendCronNotification(
+        options,
+        {
+          job: level ? `rule:${rule.id}:esc${level}:${offset}` : `rule:${rule.id}:${offset}`,
+          targetDate,
+          serviceId: service.id,
+        },
+        {
+          ...buildRuleNotification(stage, vars, recipients),
+          urgent: level > 0,
+        },
+      );
+      addOutcomeToSummary(summary, outcome, recipients, { serviceId: service.id, level });
+      if (outcome.result && rule.escalation?.length) {
+        await recordEscalationStep(service.id, stage, recipients, now);
+      }
+    }
+  }
+}
+
+async function runReminderRules(rules, options, now = new Date()) {
+  const lookups = createRuleLookups();
+  const summaries = [];
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    const summary = createRuleSummary(rule);
+    if (rule.trigger === 'monthly_schedule') {
+      await evaluateMonthlyRule(rule, options, now, summary, lookups);
+    } else {
+      await evaluateServiceRule(rule, options, now, summary, lookups);
+    }
+    if (!options.dryRun) delete summary.preview;
+    summaries.push(summary);
+  }
+  return summaries;
+}
+
+async function runReminderRulesJob(ruleId, options) {
+  if (options.force && !options.serviceId) return { error: 'serviceId obbligatorio con force' };
+
+  const rules = (await loadReminderRules()).filter((r) => !ruleId || r.id === ruleId);
+  if (ruleId && !rules.length) return { error: 'Regola non trovata' };
+  const summaries = await runReminderRules(rules, options, options.now);
+  if (ruleId) return { dryRun: options.dryRun, ...(summaries[0] || {}) };
+  return { dryRun: options.dryRun, rules: summaries };
+}
+
+function serializeReminderRule(rule) {
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  return { ...rule, createdAt: iso(rule.createdAt), updatedAt: iso(rule.updatedAt) };
+}
+
+app.get('/api/admin/reminder-rules', authRequired, requireRootRole, async (_req, res) => {
+  const rules = await loadReminderRules();
+  res.json({ ok: true, items: rules.map(serializeReminderRule) });
 });
 
-app.post('/api/cron/remind-upcoming-service-members', async (req, res) => {
-  if (!assertCronSecret(req, res)) return;
+app.post(
+  '/api/admin/reminder-rules',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    const error = validateReminderRule(req.body);
+    if (error) return res.status(400).send(error);
+    const ref = await db.collection('reminder_rules').add({
+      ...sanitizeReminderRule(req.body),
+      createdBy: req.appUser.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    res.json({ ok: true, id: ref.id });
+  }),
+);
 
-  const daysBefore = Number(REMINDER_MUSICIANS_DAYS_BEFORE) || 2;
-  const targetDate = getISODateWithDaysOffset(daysBefore);
+app.put(
+  '/api/admin/reminder-rules/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    const error = validateReminderRule(req.body);
+    if (error) return res.status(400).send(error);
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Regola non trovata');
+    const ref = db.collection('reminder_rules').doc(req.params.id);
+    const snap = await ref.get();
+    const builtIn = DEFAULT_REMINDER_RULES.some((r) => r.id === req.params.id);
+    if (!snap.exists && !builtIn) return res.status(404).send('Regola non trovata');
+    await ref.set({
+      ...sanitizeReminderRule(req.body),
+      createdBy: snap.exists ? snap.data().createdBy || null : req.appUser.id,
+      createdAt: snap.exists ? snap.data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    res.json({ ok: true });
+  }),
+);
 
-  const servicesSnap = await db
-    .collection('services')
-    .where('date', '==', targetDate)
-    .get();
+app.delete(
+  '/api/admin/reminder-rules/:id',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    if (!isValidDocId(req.params.id)) return res.status(404).send('Regola non trovata');
+    const ref = db.collection('reminder_rules').doc(req.params.id);
+    const snap = await ref.get();
+    const builtIn = DEFAULT_REMINDER_RULES.some((r) => r.id === req.params.id);
+    if (builtIn) {
+      await ref.set(
+        {
+          ...(snap.exists ? {} : DEFAULT_REMINDER_RULES.find((r) => r.id === req.params.id)),
+          enabled: false,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+      return res.json({ ok: true, disabled: true });
+    }
+    if (!snap.exists) return res.status(404).send('Regola non trovata');
+    await ref.delete();
+    res.json({ ok: true });
+  }),
+);
+
+async function notifyScheduleChanges(scheduleId, changesByPerson) {
+  const serviceIds = new Set();
+  const positionIds = new Set();
+  changesByPerson.forEach((changes) =>
+    changes.forEach((c) => {
+      serviceIds.add(c.serviceId);
+      positionIds.add(c.positionId);
+      if (c.fromServiceId) serviceIds.add(c.fromServiceId);
+      if (c.fromPositionId) positionIds.add(c.fromPositionId);
+    }),
+  );
+  const serviceSnaps = serviceIds.size
+    ? await db.getAll(...[...serviceIds].map((id) => db.collection('services').doc(id)))
+    : [];
+  const services = new Map(serviceSnaps.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+  const positions = await getNamesByIds('positions', [...positionIds]);
+  const describe = (serviceId, positionId, prefix = '') => {
+    const service = services.get(serviceId) || {};
+    const key = (name) => (prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name);
+    return {
+      [key('serviceName')]: service.name || serviceId,
+      [key('serviceDate')]: service.date || '',
+      [key('startTime')]: service.startTime || '',
+      [key('positionName')]: positions.get(positionId) || positionId,
+    };
+  };
+
+  let notified = 0;
+  for (const [personId, changes] of changesByPerson) {
+    const recipients = await collectUserIdsByLinkedPersonIds([personId]);
+    if (!recipients.length) continue;
+    const described = changes.map((c) => ({
+      type: c.type,
+      ...describe(c.serviceId, c.positionId),
+      ...(c.type === 'moved' ? describe(c.fromServiceId, c.fromPositionId, 'from') : {}),
+    }));
+    const first = changes.find((c) => c.type !== 'removed') || changes[0];
+    await sendToUsers({
+      userIds: recipients,
+      template: { key: 'schedule_changes', vars: { changes: described } },
+      link: first.type === 'removed' ? '/schedules' : `/services/${first.serviceId}`,
+      category: 'assignment',
+      source: 'watcher:schedules',
+      meta: { scheduleId, personId, changes },
+      urgent: true,
+    });
+    notified += 1;
+  }
+  return notified;
+}
+
+async function processScheduleChange(doc) {
+  const snapshotRef = db.collection('schedule_snapshots').doc(doc.id);
+  const current = normalizeServices(doc.data()?.services);
+  const version = doc.updateTime ? doc.updateTime.toMillis() : Date.now();
+
+  const previous = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(snapshotRef);
+    const stored = snap.exists ? snap.data() : null;
+    if (stored && stored.version >= version) return { stale: true };
+    tx.set(snapshotRef, {
+      month: doc.data()?.month || null,
+      services: current,
+      version,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { stored };
+  });
+  if (previous.stale || !previous.stored) return { changedPeople: 0, notified: 0, webhooks: 0 };
 
-  if (servicesSnap.empty) {
-    return res.json({ ok: true, targetDate, checkedServices: 0, notifiedServices: 0 });
+  const data = doc.data() || {};
+  const changes = diffScheduleAssignments(previous.stored.services, current);
+  if (!changes.size) return { changedPeople: 0, notified: 0, webhooks: 0 };
+  let webhooks = 0;
+  for (const [personId, personChanges] of changes) {
+    webhooks += await dispatchWebhookEvent('assignment_changed', {
+      personId,
+      scheduleId: doc.id,
+      month: data.month || null,
+      changes: personChanges,
+    });
   }
 
-  let notifiedServices = 0;
-  let totalRecipients = 0;
+  // lastChangeAt is a server timestamp, equal to updateTime only on the swap's own write: a later
+  // edit of the same schedule is notified even though lastChangeSource is still 'swap'.
+  const fromSwap =
+    data.lastChangeSource === 'swap' &&
+    Boolean(doc.updateTime && data.lastChangeAt?.isEqual(doc.updateTime));
+  const notified = fromSwap ? 0 : await notifyScheduleChanges(doc.id, changes);
+  return { changedPeople: changes.size, notified, webhooks };
+}
+
+const scheduleQueues = new Map();
+
+function queueScheduleChange(doc) {
+  const previous = scheduleQueues.get(doc.id) || Promise.resolve();
+  const next = previous
+    .then(() => processScheduleChange(doc))
+    .catch((err) => {
+      console.error(`schedule watcher ${doc.id}:`, err?.message || err);
+    });
+  scheduleQueues.set(doc.id, next);
+  next.then(() => {
+    if (scheduleQueues.get(doc.id) === next) scheduleQueues.delete(doc.id);
+  });
+  return next;
+}
+
+function startScheduleWatcher() {
+  db.collection('schedules').onSnapshot(
+    (snap) => {
+      snap.docChanges().forEach((change) => {
+        if (change.type !== 'removed') queueScheduleChange(change.doc);
+      });
+    },
+    (err) => {
+      console.error('schedule watcher:', err?.message || err);
+    },
+  );
+}
+
+async function runSyncScheduleChangesJob({ now = new Date() } = {}) {
+  const { year, month } = getZonedParts(now, CHURCH_TIMEZONE);
+  const fromMonth = `${year}-${String(month).padStart(2, '0')}`;
+  const schedulesSnap = await db.collection('schedules').where('month', '>=', fromMonth).get();
+
+  let changedPeople = 0;
+  let notified = 0;
+  let webhooks = 0;
+  for (const doc of schedulesSnap.docs) {
+    const result = await processScheduleChange(doc);
+    changedPeople += result.changedPeople;
+    notified += result.notified;
+    webhooks += result.webhooks;
+  }
+  return { checkedSchedules: schedulesSnap.size, changedPeople, notified, webhooks };
+}
+
+async function runSendDigestsJob({ mode: rawMode }) {
+  const mode = String(rawMode || 'daily');
+  if (!DIGEST_MODES.includes(mode)) return { error: 'mode non valido' };
+
+  const queueSnap = await db.collection('digest_queue').where('mode', '==', mode).get();
+  const byUser = new Map();
+  queueSnap.docs.forEach((doc) => {
+    const { userId } = doc.data();
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(doc);
+  });
+
+  let notifiedUsers = 0;
   let totalSuccess = 0;
   let totalFailure = 0;
+  const failureReasons = {};
 
-  for (const doc of servicesSnap.docs) {
-    const service = { id: doc.id, ...(doc.data() || {}) };
-    const month = String(service.date || '').slice(0, 7);
-    const scheduleSnap = await db
-      .collection('schedules')
-      .where('month', '==', month)
-      .limit(1)
-      .get();
-    if (scheduleSnap.empty) continue;
+  for (const [userId, docs] of byUser) {
+    const counts = {};
+    docs.forEach((doc) => {
+      const { category } = doc.data();
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    const result = await sendToUsers({
+      userIds: [userId],
+      template: {
+        key: 'digest',
+        vars: {
+          items: Object.entries(counts).map(([type, count]) => ({ type, count })),
+        },
+      },
+      // The queue entries are deleted below; each digested notification is already in the inbox.
+      link: '/notifications',
+      category: 'digest',
+      source: `cron:send-digests:${mode}`,
+      meta: { mode, counts },
+      urgent: true,
+      inbox: false,
+    });
+
+    for (let i = 0; i < docs.length; i += 400) {
+      const batch = db.batch();
+      docs.slice(i, i + 400).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    notifiedUsers += 1;
+    totalSuccess += result.success;
+    totalFailure += result.failure;
+    mergeFailureReasons(failureReasons, result.failureReasons);
+  }
 
-    const schedule = scheduleSnap.docs[0].data();
-    const scheduleService = (schedule.services || []).find(
-      (s) => s.serviceId === service.id,
+  return {
+    mode,
+    queued: queueSnap.size,
+    notifiedUsers,
+    success: totalSuccess,
+    failure: totalFailure,
+    failureReasons,
+  };
+}
+
+async function runDeliverHeldNotificationsJob({ now = new Date() } = {}) {
+  const heldSnap = await db
+    .collection('held_notifications')
+    .where('deliverAfter', '<=', now)
+    .limit(500)
+    .get();
+  if (heldSnap.empty) return { delivered: 0 };
+
+  const groups = new Map();
+  heldSnap.docs.forEach((doc) => {
+    const data = doc.data();
+    const key = data.logId ? `${data.logId}|${data.title}|${data.body}` : doc.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ref: doc.ref, ...data });
+  });
+
+  let totalSuccess = 0;
+  let totalFailure = 0;
+  let totalDisabled = 0;
+  const failureReasons = {};
+
+  for (const items of groups.values()) {
+    const { title, body, link, category, logId, actions, image } = items[0];
+    const deviceSnaps = await db.getAll(
+      ...items.map((h) => db.collection('notification_devices').doc(h.deviceId)),
     );
-    const personIds = [...new Set((scheduleService?.assignments || []).map((a) => a.personId))];
-    const recipients = await collectUserIdsByLinkedPersonIds(personIds);
-    if (!recipients.length) continue;
+    const devices = deviceSnaps
+      .filter((d) => d.exists && d.data().enabled && d.data().token)
+      .map((d) => ({
+        id: d.id,
+        token: d.data().token,
+        userId: d.data().userId,
+        failureStreak: Number(d.data().failureStreak) || 0,
+        platform: d.data().platform || 'unknown',
+      }));
 
-    const result = await sendToUsers({
-      userIds: recipients,
-      title: 'Promemoria culto in arrivo',
-      body: `Sei in scala per ${service.name} (${service.date} ${service.startTime}).`,
-      link: `/services/${service.id}`,
-      category: 'reminder',
-    });
+    const profiles = await collectUserProfiles(devices.map((d) => d.userId));
+    const badges = new Map([...profiles].map(([userId, p]) => [userId, p.inboxUnread]));
+    const { result, deliveries } = await deliverToDevices(
+      devices,
+      { title, body, link, category, actions: actions || [], image: image || null },
+      badges,
+    );
+
+    const batch = db.batch();
+    items.forEach((h) => batch.delete(h.ref));
+    if (logId && deliveries.length) {
+      batch.set(
+        db.collection('notification_log').doc(logId),
+        {
+          deliveries: admin.firestore.FieldValue.arrayUnion(
+            ...deliveries.map((d) => ({ ...d, releasedFromHold: true })),
+          ),
+          success: admin.firestore.FieldValue.increment(result.success),
+          failure: admin.firestore.FieldValue.increment(result.failure),
+        },
+        { merge: true },
+      );
+    }
+    await batch.commit();
 
-    notifiedServices += 1;
-    totalRecipients += recipients.length;
     totalSuccess += result.success;
     totalFailure += result.failure;
+    totalDisabled += result.disabledDevices;
+    mergeFailureReasons(failureReasons, result.failureReasons);
   }
 
-  return res.json({
-    ok: true,
-    targetDate,
-    checkedServices: servicesSnap.size,
-    notifiedServices,
+  return {
+    delivered: heldSnap.size,
+    success: totalSuccess,
+    failure: totalFailure,
+    disabledDevices: totalDisabled,
+    failureReasons,
+  };
+}
+
+// A send interrupted mid-way (crash, redeploy) may already have reached part of the recipients,
+// so it is marked failed rather than sent again; notification_log has its meta.scheduledId.
+const SCHEDULED_SEND_STALE_MS = 15 * 60 * 1000;
+
+async function failStaleScheduledSends(now) {
+  const staleSnap = await db
+    .collection('scheduled_notifications')
+    .where('status', '==', 'sending')
+    .where('claimedAt', '<=', new Date(now.getTime() - SCHEDULED_SEND_STALE_MS))
+    .get();
+  for (const doc of staleSnap.docs) {
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(doc.ref);
+      if (!snap.exists || snap.data().status !== 'sending') return;
+      tx.update(doc.ref, {
+        status: 'failed',
+        error: 'Invio interrotto',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  }
+  return staleSnap.size;
+}
+
+async function runDispatchScheduledNotificationsJob({ now = new Date() } = {}) {
+  const stale = await failStaleScheduledSends(now);
+  const dueSnap = await db
+    .collection('scheduled_notifications')
+    .where('status', '==', 'pending')
+    .where('sendAt', '<=', now)
+    .get();
+
+  let dispatched = 0;
+  let totalRecipients = 0;
+  let totalSuccess = 0;
+  let totalFailure = 0;
+  const failureReasons = {};
+
+  for (const doc of dueSnap.docs) {
+    // Sends what was read inside the claim: a PATCH between the query and the claim wins.
+    const item = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(doc.ref);
+      const data = snap.exists ? snap.data() : null;
+      if (data?.status !== 'pending' || data.sendAt.toMillis() > now.getTime()) return null;
+      tx.update(doc.ref, {
+        status: 'sending',
+        claimedAt: now,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return data;
+    });
+    if (!item) continue;
+
+    try {
+      const { recipients, result } = await sendAdminNotification(
+        pickAdminTarget(item),
+        {
+          title: item.title,
+          body: item.body,
+          link: item.link || undefined,
+          category: item.category,
+          image: item.image || null,
+        },
+        { source: 'scheduled', senderUid: item.createdBy || null, meta: { scheduledId: doc.id } },
+      );
+      await doc.ref.update({
+        status: 'sent',
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        result: { ...result, recipients: recipients.length },
+      });
+      dispatched += 1;
+      totalRecipients += recipients.length;
+      totalSuccess += result.success;
+      totalFailure += result.failure;
+      mergeFailureReasons(failureReasons, result.failureReasons);
+    } catch (err) {
+      await doc.ref.update({
+        status: 'failed',
+        error: String(err?.message || err),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+
+  return {
+    due: dueSnap.size,
+    dispatched,
+    stale,
     recipients: totalRecipients,
     success: totalSuccess,
     failure: totalFailure,
+    failureReasons,
+  };
+}
+
+async function updateTopicMembership(topic, tokens, subscribe) {
+  for (let i = 0; i < tokens.length; i += 1000) {
+    const chunk = tokens.slice(i, i + 1000);
+    if (subscribe) await messaging.subscribeToTopic(chunk, topic);
+    else await messaging.unsubscribeFromTopic(chunk, topic);
+  }
+}
+
+async function runSyncFcmTopicsJob() {
+  if (FCM_TOPICS_ENABLED !== 'true') return { error: 'Topic FCM non abilitati' };
+  const assignments = await collectTargetAssignments({ target: 'position' });
+  const personsByPosition = new Map();
+  assignments.forEach((a) => {
+    if (!a.positionId || !a.personId) return;
+    if (!personsByPosition.has(a.positionId)) personsByPosition.set(a.positionId, new Set());
+    personsByPosition.get(a.positionId).add(a.personId);
+  });
+
+  const topicsSnap = await db.collection('fcm_topics').get();
+  const stored = new Map(topicsSnap.docs.map((doc) => [doc.id, doc.data()]));
+  personsByPosition.forEach((_persons, positionId) => {
+    const topic = positionTopic(positionId);
+    if (!stored.has(topic)) stored.set(topic, { positionId, tokens: [] });
+  });
+
+  let subscribed = 0;
+  let unsubscribed = 0;
+  for (const [topic, current] of stored) {
+    const personIds = [...(personsByPosition.get(current.positionId) || [])];
+    const userIds = await collectUserIdsByLinkedPersonIds(personIds);
+    const { devices } = await collectDevicesByUserIds(userIds, TOPIC_CATEGORY);
+    const wanted = [...new Set(devices.map((d) => d.token))];
+    const previous = new Set(current.tokens || []);
+    const toAdd = wanted.filter((t) => !previous.has(t));
+    const toRemove = [...previous].filter((t) => !wanted.includes(t));
+    await updateTopicMembership(topic, toAdd, true);
+    await updateTopicMembership(topic, toRemove, false);
+    subscribed += toAdd.length;
+    unsubscribed += toRemove.length;
+
+    const ref = db.collection('fcm_topics').doc(topic);
+    if (!wanted.length) await ref.delete();
+    else {
+      await ref.set({
+        positionId: current.positionId,
+        tokens: wanted,
+        users: userIds.length,
+        syncedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+  return { topics: personsByPosition.size, subscribed, unsubscribed };
+}
+
+async function runPruneAuditLogJob({ now = new Date() } = {}) {
+  const days = Number(AUDIT_RETENTION_DAYS);
+  if (!days || days <= 0) return { deleted: 0, retentionDays: null };
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  let deleted = 0;
+  for (;;) {
+    const snap = await db.collection('audit_log').where('createdAt', '<', cutoff).limit(400).get();
+    if (snap.empty) break;
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+  }
+  return { deleted, retentionDays: days, cutoff: cutoff.toISOString() };
+}
+
+const CRON_JOBS = {
+  'run-reminder-rules': (options) => runReminderRulesJob(null, options),
+  'remind-next-month-schedule': (options) =>
+    runReminderRulesJob('remind-next-month-schedule', options),
+  'remind-service-songs-entry': (options) =>
+    runReminderRulesJob('remind-service-songs-entry', options),
+  'remind-upcoming-service-members': (options) =>
+    runReminderRulesJob('remind-upcoming-service-members', options),
+  'remind-pending-assignments': (options) =>
+    runReminderRulesJob('remind-pending-assignments', options),
+  'sync-schedule-changes': (options) => runSyncScheduleChangesJob(options),
+  'send-digests': (options) => runSendDigestsJob(options),
+  'send-digests-daily': (options) => runSendDigestsJob({ ...options, mode: 'daily' }),
+  'send-digests-weekly': (options) => runSendDigestsJob({ ...options, mode: 'weekly' }),
+  'deliver-held-notifications': (options) => runDeliverHeldNotificationsJob(options),
+  'dispatch-scheduled-notifications': (options) => runDispatchScheduledNotificationsJob(options),
+  'deliver-webhooks': (options) => runDeliverWebhooksJob(options),
+  'sync-fcm-topics': () => runSyncFcmTopicsJob(),
+  'prune-audit-log': (options) => runPruneAuditLogJob(options),
+};
+
+const DEFAULT_SCHEDULER_JOBS = {
+  'run-reminder-rules': '0 9 * * *',
+  'sync-schedule-changes': '*/10 * * * *',
+  'send-digests-daily': '0 19 * * *',
+  'send-digests-weekly': '0 19 * * 0',
+  'deliver-held-notifications': '*/15 * * * *',
+  'dispatch-scheduled-notifications': '*/5 * * * *',
+  'deliver-webhooks': '* * * * *',
+  'prune-audit-log': '30 3 * * *',
+  ...(FCM_TOPICS_ENABLED === 'true' ? { 'sync-fcm-topics': '0 * * * *' } : {}),
+};
+
+const JOB_LEASE_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${process.env.HOSTNAME || 'local'}-${crypto.randomBytes(4).toString('hex')}`;
+
+function parseSchedulerJobs(raw) {
+  if (!raw) return { ...DEFAULT_SCHEDULER_JOBS };
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error('SCHEDULER_JOBS non è un JSON valido');
+  }
+  Object.entries(parsed).forEach(([job, expression]) => {
+    if (!CRON_JOBS[job]) throw new Error(`SCHEDULER_JOBS: job sconosciuto ${job}`);
+    if (expression) cronParser.parseExpression(expression, { tz: CHURCH_TIMEZONE });
+  });
+  return Object.fromEntries(Object.entries(parsed).filter(([, expression]) => expression));
+}
+
+const schedulerJobs = SCHEDULER_ENABLED === 'true' ? parseSchedulerJobs(SCHEDULER_JOBS) : {};
+
+function getNextRun(expression, from = new Date()) {
+  return cronParser
+    .parseExpression(expression, { currentDate: from, tz: CHURCH_TIMEZONE })
+    .next()
+    .toDate();
+}
+
+// Every job reads the clock from `options.now`, so a run can be replayed for a given instant.
+async function runCronJob(job, options, trigger) {
+  const startedAt = Date.now();
+  const now = options.now || new Date(startedAt);
+  const stateRef = db.collection('job_state').doc(job);
+  try {
+    const result = await CRON_JOBS[job]({ ...options, now });
+    await stateRef.set(
+      {
+        lastRunAt: now,
+        lastTrigger: trigger,
+        lastInstance: INSTANCE_ID,
+        lastStatus: result.error ? 'invalid' : 'ok',
+        lastResult: result,
+        lastError: null,
+        lastDurationMs: Date.now() - startedAt,
+      },
+      { merge: true },
+    );
+    return result;
+  } catch (err) {
+    await stateRef.set(
+      {
+        lastRunAt: now,
+        lastTrigger: trigger,
+        lastInstance: INSTANCE_ID,
+        lastStatus: 'error',
+        lastError: String(err?.message || err),
+        lastDurationMs: Date.now() - startedAt,
+      },
+      { merge: true },
+    );
+    throw err;
+  }
+}
+
+function cronRoute(job) {
+  return async (req, res) => {
+    if (!assertCronSecret(req, res)) return;
+    auditRequest(req, res, 'cron');
+    const options = {
+      ...getCronOptions(req),
+      mode: req.query.mode || req.body?.mode,
+    };
+    let result;
+    try {
+      result = await runCronJob(job, options, 'http');
+    } catch (err) {
+      const message = String(err?.message || err);
+      console.error(`cron ${job}:`, message);
+      return res.status(500).send(`Job ${job} fallito: ${message.slice(0, 300)}`);
+    }
+    if (result.error) return res.status(400).send(result.error);
+    res.json({ ok: true, ...result });
+  };
+}
+
+app.post('/api/cron/run-reminder-rules', cronRoute('run-reminder-rules'));
+app.post('/api/cron/remind-next-month-schedule', cronRoute('remind-next-month-schedule'));
+app.post('/api/cron/remind-service-songs-entry', cronRoute('remind-service-songs-entry'));
+app.post(
+  '/api/cron/remind-upcoming-service-members',
+  cronRoute('remind-upcoming-service-members'),
+);
+app.post('/api/cron/remind-pending-assignments', cronRoute('remind-pending-assignments'));
+app.post('/api/cron/sync-schedule-changes', cronRoute('sync-schedule-changes'));
+app.post('/api/cron/send-digests', cronRoute('send-digests'));
+app.post('/api/cron/deliver-held-notifications', cronRoute('deliver-held-notifications'));
+app.post(
+  '/api/cron/dispatch-scheduled-notifications',
+  cronRoute('dispatch-scheduled-notifications'),
+);
+app.post('/api/cron/deliver-webhooks', cronRoute('deliver-webhooks'));
+app.post('/api/cron/sync-fcm-topics', cronRoute('sync-fcm-topics'));
+app.post('/api/cron/prune-audit-log', cronRoute('prune-audit-log'));
+
+async function acquireJobLease(job, slot) {
+  const ref = db.collection('job_locks').doc(job);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const lock = snap.exists ? snap.data() : null;
+    if (lock?.slot === slot) return false;
+    if (lock && lock.owner !== INSTANCE_ID && lock.lockedUntil?.toMillis() > Date.now()) {
+      return false;
+    }
+    tx.set(ref, {
+      owner: INSTANCE_ID,
+      slot,
+      lockedUntil: admin.firestore.Timestamp.fromMillis(Date.now() + JOB_LEASE_MS),
+    });
+    return true;
+  });
+}
+
+async function releaseJobLease(job) {
+  const ref = db.collection('job_locks').doc(job);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (snap.exists && snap.data().owner === INSTANCE_ID) {
+      tx.update(ref, { lockedUntil: admin.firestore.Timestamp.now() });
+    }
+  });
+}
+
+function scheduleJob(job, expression) {
+  const nextRun = getNextRun(expression);
+  db.collection('job_state')
+    .doc(job)
+    .set({ schedule: expression, nextRunAt: nextRun }, { merge: true })
+    .catch((err) => console.error(`scheduler ${job}:`, err?.message || err));
+
+  // setTimeout overflows past ~24.8 days; re-plan instead of waiting that long.
+  const delay = Math.min(nextRun.getTime() - Date.now(), 2 ** 31 - 1);
+  const timer = setTimeout(async () => {
+    if (Date.now() < nextRun.getTime()) {
+      scheduleJob(job, expression);
+      return;
+    }
+    try {
+      if (await acquireJobLease(job, nextRun.toISOString())) {
+        const startedAt = Date.now();
+        let result = null;
+        let error = null;
+        try {
+          result = await runCronJob(
+            job,
+            { dryRun: false, force: false, serviceId: null },
+            'scheduler',
+          );
+        } catch (err) {
+          error = String(err?.message || err);
+          throw err;
+        } finally {
+          await releaseJobLease(job);
+          if (error || !isNoopSchedulerRun(job, result)) {
+            await recordAudit({
+              actorUid: null,
+              actorRole: 'scheduler',
+              method: null,
+              route: `scheduler:${job}`,
+              path: null,
+              params: null,
+              query: null,
+              payload: { schedule: expression, slot: nextRun.toISOString() },
+              recipients: result?.recipients ?? null,
+              statusCode: null,
+              result: summarizeResult(result),
+              error,
+              ip: null,
+              userAgent: INSTANCE_ID,
+              durationMs: Date.now() - startedAt,
+            });
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`scheduler ${job}:`, err?.message || err);
+    }
+    scheduleJob(job, expression);
+  }, Math.max(delay, 0));
+  timer.unref();
+}
+
+// Frequent jobs would fill the audit log with empty runs: those only update job_state.
+const SCHEDULER_NOOP_CHECKS = {
+  'sync-schedule-changes': (r) => !r.changedPeople,
+  'send-digests-daily': (r) => !r.queued,
+  'send-digests-weekly': (r) => !r.queued,
+  'deliver-held-notifications': (r) => !r.delivered,
+  'dispatch-scheduled-notifications': (r) => !r.due && !r.stale,
+  'deliver-webhooks': (r) => !r.attempted,
+  'prune-audit-log': (r) => !r.deleted,
+};
+
+function isNoopSchedulerRun(job, result) {
+  const check = SCHEDULER_NOOP_CHECKS[job];
+  return Boolean(check && result && !result.error && check(result));
+}
+
+function startScheduler() {
+  Object.entries(schedulerJobs).forEach(([job, expression]) => scheduleJob(job, expression));
+}
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'actorUid',
+  'actorRole',
+  'method',
+  'route',
+  'path',
+  'statusCode',
+  'recipients',
+  'error',
+  'ip',
+  'userAgent',
+  'durationMs',
+  'params',
+  'query',
+  'payload',
+  'result',
+];
+
+function serializeAuditEntry(doc) {
+  const data = doc.data();
+  return { id: doc.id, ...data, createdAt: data.createdAt?.toDate?.().toISOString() || null };
+}
+
+app.get(
+  '/api/admin/audit',
+  authRequired,
+  requireRootRole,
+  asyncRoute(async (req, res) => {
+    const { actorUid, actorRole, route, method, from, to, cursor, format } = req.query;
+    const csv = format === 'csv';
+    const limit = csv
+      ? Math.min(Math.max(Number(req.query.limit) || 5000, 1), 10000)
+      : Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    let query = db.collection('audit_log');
+    if (actorUid) query = query.where('actorUid', '==', String(actorUid));
+    if (actorRole) query = query.where('actorRole', '==', String(actorRole));
+    if (route) query = query.where('route', '==', String(route));
+    if (method) query = query.where('method', '==', String(method).toUpperCase());
+    if (from) {
+      const fromDate = new Date(String(from));
+      if (Number.isNaN(fromDate.getTime())) return res.status(400).send('from non valido');
+      query = query.where('createdAt', '>=', fromDate);
+    }
+    if (to) {
+      const toDate = new Date(String(to));
+      if (Number.isNaN(toDate.getTime())) return res.status(400).send('to non valido');
+      query = query.where('createdAt', '<=', toDate);
+    }
+    query = query.orderBy('createdAt', 'desc');
+
+    if (cursor) {
+      if (!isValidDocId(String(cursor))) return res.status(400).send('cursor non valido');
+      const cursorSnap = await db.collection('audit_log').doc(String(cursor)).get();
+      if (!cursorSnap.exists) return res.status(400).send('cursor non valido');
+      query = query.startAfter(cursorSnap);
+    }
+
+    const snap = await query.limit(limit).get();
+    const items = snap.docs.map(serializeAuditEntry);
+    if (csv) {
+      res.set('content-type', 'text/csv; charset=utf-8');
+      res.set('content-disposition', 'attachment; filename="audit.csv"');
+      return res.send(toCsv(items, AUDIT_CSV_COLUMNS));
+    }
+    const nextCursor = snap.size === limit ? snap.docs[snap.size - 1].id : null;
+    res.json({ ok: true, items, nextCursor });
+  }),
+);
+
+app.get('/api/admin/jobs', authRequired, requireRootRole, async (_req, res) => {
+  const jobs = Object.keys(CRON_JOBS);
+  const snaps = await db.getAll(...jobs.map((job) => db.collection('job_state').doc(job)));
+  const iso = (v) => v?.toDate?.().toISOString() || null;
+  const items = jobs.map((job, idx) => {
+    const state = snaps[idx].exists ? snaps[idx].data() : {};
+    const schedule = schedulerJobs[job] || null;
+    return {
+      job,
+      route: job.startsWith('send-digests-') ? null : `/api/cron/${job}`,
+      schedule,
+      nextRunAt: schedule ? getNextRun(schedule).toISOString() : null,
+      lastRunAt: iso(state.lastRunAt),
+      lastTrigger: state.lastTrigger || null,
+      lastInstance: state.lastInstance || null,
+      lastStatus: state.lastStatus || null,
+      lastDurationMs: state.lastDurationMs ?? null,
+      lastError: state.lastError || null,
+      lastResult: state.lastResult || null,
+    };
+  });
+  res.json({
+    ok: true,
+    schedulerEnabled: SCHEDULER_ENABLED === 'true',
+    instance: INSTANCE_ID,
+    items,
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`notifications-backend listening on ${PORT}`);
+// Registered last so it receives the errors forwarded by asyncRoute.
+app.use((err, req, res, _next) => {
+  console.error(`${req.method} ${req.path}:`, err?.message || err);
+  if (res.headersSent) return;
+  res.status(500).send('Errore interno');
 });
+
+// Tests require the module against the Firestore emulator without starting the listener.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`notifications-backend listening on ${PORT}`);
+    if (SCHEDULE_WATCHER_ENABLED === 'true') startScheduleWatcher();
+    if (SCHEDULER_ENABLED === 'true') startScheduler();
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  mailer,
+  runCronJob,
+  processScheduleChange,
+};
@@ -0,0 +1,125 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutAuthEmulator,
+  loadServer,
+  clearFirestore,
+  clearAuth,
+  seed,
+  idToken,
+  listen,
+  shutdown,
+} = require('./emulator');
+
+describe('email preferences against the emulators', { skip: skipWithoutAuthEmulator }, () => {
+  let server;
+  let baseUrl;
+  let db;
+  let mailer;
+
+  before(async () => {
+    const loaded = loadServer();
+    ({ db, mailer } = loaded);
+    ({ server, baseUrl } = await listen(loaded.app));
+  });
+  beforeEach(async () => {
+    mailer.outbox.length = 0;
+    await Promise.all([clearFirestore(), clearAuth()]);
+    await seed(db, {
+      'users/root': { name: 'Root', role: 'root', active: true },
+      'users/u1': { name: 'Uno', active: true, email: 'uno@example.com', locale: 'it' },
+      'users/u2': { name: 'Due', active: true, email: 'due@example.com', locale: 'it' },
+    });
+  });
+  after(() => shutdown(server));
+
+  const call = async (method, path, uid, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${await idToken(uid)}`,
+        'content-type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  const send = (category) =>
+    call('POST', '/api/admin/send-notification', 'root', {
+      title: 'Prova',
+      body: 'Messaggio di prova',
+      category,
+      target: 'users',
+      userIds: ['u1', 'u2'],
+    });
+
+  test('PUT validates categories and values and replaces the whole map', async () => {
+    let res = await call('PUT', '/api/me/email-preferences', 'u1', {
+      preferences: { nope: true },
+    });
+    assert.equal(res.status, 400);
+    res = await call('PUT', '/api/me/email-preferences', 'u1', {
+      preferences: { assignment: 'yes' },
+    });
+    assert.equal(res.status, 400);
+
+    res = await call('PUT', '/api/me/email-preferences', 'u1', {
+      preferences: { assignment: true, announcements: false },
+    });
+    assert.equal(res.status, 200);
+    res = await call('PUT', '/api/me/email-preferences', 'u1', {
+      preferences: { announcements: false },
+    });
+    assert.equal(res.status, 200);
+
+    const body = await (await call('GET', '/api/me/email-preferences', 'u1')).json();
+    assert.deepEqual(body.preferences, { announcements: false });
+    assert.equal(body.email, 'uno@example.com');
+    assert.ok(body.categories.includes('reminder'));
+    assert.equal((await db.collection('users').doc('u1').get()).data().name, 'Uno');
+  });
+
+  test('the capture transport receives the fallback email unless the category is off', async () => {
+    await call('PUT', '/api/me/email-preferences', 'u2', {
+      preferences: { announcements: false },
+    });
+
+    let res = await send('announcements');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).emailSent, 1);
+    assert.deepEqual(
+      mailer.outbox.map((m) => m.to),
+      ['uno@example.com'],
+    );
+    assert.equal(mailer.outbox[0].subject, 'Prova');
+    assert.match(mailer.outbox[0].text, /Messaggio di prova/);
+
+    mailer.outbox.length = 0;
+    res = await send('assignment');
+    assert.equal((await res.json()).emailSent, 2);
+    assert.deepEqual(mailer.outbox.map((m) => m.to).sort(), ['due@example.com', 'uno@example.com']);
+  });
+
+  test('switching a push category off does not send it by email instead', async () => {
+    await seed(db, {
+      'notification_devices/d1': {
+        token: 'token-u1',
+        userId: 'u1',
+        enabled: true,
+        preferences: { announcements: false },
+      },
+    });
+    let res = await send('announcements');
+    assert.equal((await res.json()).emailSent, 1);
+    assert.deepEqual(
+      mailer.outbox.map((m) => m.to),
+      ['due@example.com'],
+    );
+
+    mailer.outbox.length = 0;
+    await call('PUT', '/api/me/email-preferences', 'u1', {
+      preferences: { announcements: true },
+    });
+    res = await send('announcements');
+    assert.equal((await res.json()).emailSent, 2);
+  });
+});
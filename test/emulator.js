@@ -0,0 +1,100 @@
+// Shared setup for the suites that run against the Firebase emulators:
+// firebase emulators:exec --only firestore,auth "npm test"
+const admin = require('firebase-admin');
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'demo-worship-schedule';
+
+const skipWithoutEmulator = EMULATOR_HOST
+  ? false
+  : "FIRESTORE_EMULATOR_HOST non impostato: avviare l'emulatore Firestore";
+
+// Suites that call authenticated routes also need the Auth emulator.
+const skipWithoutAuthEmulator =
+  skipWithoutEmulator ||
+  (AUTH_EMULATOR_HOST
+    ? false
+    : "FIREBASE_AUTH_EMULATOR_HOST non impostato: avviare l'emulatore Auth");
+
+// server.js reads its configuration once, when it is first required.
+function loadServer(env = {}) {
+  Object.assign(process.env, {
+    FIREBASE_PROJECT_ID: PROJECT_ID,
+    CRON_SECRET: 'test-cron-secret',
+    EMAIL_TRANSPORT: 'capture',
+    SCHEDULER_ENABLED: 'false',
+    SCHEDULE_WATCHER_ENABLED: 'false',
+    ...env,
+  });
+  return require('../server');
+}
+
+async function clearFirestore() {
+  const res = await fetch(
+    `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: 'DELETE' },
+  );
+  if (!res.ok) throw new Error(`clearFirestore: HTTP ${res.status}`);
+}
+
+async function seed(db, docs) {
+  const batch = db.batch();
+  Object.entries(docs).forEach(([path, data]) => batch.set(db.doc(path), data));
+  await batch.commit();
+}
+
+async function clearAuth() {
+  const res = await fetch(
+    `http://${AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`,
+    { method: 'DELETE' },
+  );
+  if (!res.ok) throw new Error(`clearAuth: HTTP ${res.status}`);
+}
+
+// The Auth emulator accepts unsigned tokens, but verifyIdToken still looks the account up there.
+async function idToken(uid) {
+  await admin
+    .auth()
+    .createUser({ uid })
+    .catch((err) => {
+      if (err.code !== 'auth/uid-already-exists') throw err;
+    });
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = {
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    aud: PROJECT_ID,
+    sub: uid,
+    user_id: uid,
+    auth_time: now,
+    iat: now,
+    exp: now + 3600,
+  };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+async function shutdown(server) {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await Promise.all(admin.apps.map((app) => app.delete()));
+}
+
+module.exports = {
+  skipWithoutEmulator,
+  skipWithoutAuthEmulator,
+  loadServer,
+  clearFirestore,
+  clearAuth,
+  seed,
+  idToken,
+  listen,
+  shutdown,
+};
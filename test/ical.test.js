@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../lib/ical');
+
+const calendar = (timeZone, events) =>
+  buildCalendar({
+    name: 'Culti',
+    timeZone,
+    now: new Date('2024-01-01T00:00:00Z'),
+    events: events.map((event, idx) => ({
+      uid: `e${idx}`,
+      summary: 'Culto',
+      description: '',
+      durationMinutes: 120,
+      ...event,
+    })),
+  });
+
+const times = (ics) => ics.match(/^DT(START|END)[:;].*$/gm);
+
+test('emits UTC times without TZID, following DST in the church time zone', () => {
+  const ics = calendar('Europe/Rome', [
+    { date: '2024-03-24', startTime: '10:00' },
+    { date: '2024-03-31', startTime: '10:00' },
+  ]);
+  assert.doesNotMatch(ics, /TZID/);
+  assert.deepEqual(times(ics), [
+    'DTSTART:20240324T090000Z',
+    'DTEND:20240324T110000Z',
+    'DTSTART:20240331T080000Z',
+    'DTEND:20240331T100000Z',
+  ]);
+});
+
+test('the duration is elapsed time across a DST change', () => {
+  const ics = calendar('Europe/Rome', [
+    { date: '2024-10-27', startTime: '01:30', durationMinutes: 120 },
+  ]);
+  assert.deepEqual(times(ics), ['DTSTART:20241026T233000Z', 'DTEND:20241027T013000Z']);
+});
+
+test('works for time zones west of UTC', () => {
+  const ics = calendar('America/Sao_Paulo', [{ date: '2024-06-02', startTime: '19:00' }]);
+  assert.deepEqual(times(ics), ['DTSTART:20240602T220000Z', 'DTEND:20240603T000000Z']);
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderEmail } = require('../lib/mailer');
+const { renderTemplate } = require('../lib/templates');
+
+test('renderEmail uses the localized button label and an absolute link', () => {
+  const button = renderTemplate('email_open_link', 'en').title;
+  const email = renderEmail(
+    { title: 'Schedule <June>', body: 'Hi', link: '/notifications', button },
+    'https://app.example.com/',
+  );
+  assert.equal(email.subject, 'Schedule <June>');
+  assert.match(email.html, />Open<\/a>/);
+  assert.match(email.html, /href="https:\/\/app\.example\.com\/notifications"/);
+  assert.match(email.html, /Schedule &lt;June&gt;/);
+  assert.equal(email.text, 'Schedule <June>\n\nHi\n\nhttps://app.example.com/notifications\n');
+  assert.equal(renderTemplate('email_open_link', 'pt-BR').title, 'Abrir');
+  assert.equal(renderTemplate('email_open_link', 'it').title, 'Apri');
+});
@@ -0,0 +1,77 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutAuthEmulator,
+  loadServer,
+  clearFirestore,
+  clearAuth,
+  seed,
+  idToken,
+  listen,
+  shutdown,
+} = require('./emulator');
+
+describe(
+  'reminder rule validation against the emulators',
+  { skip: skipWithoutAuthEmulator },
+  () => {
+    let server;
+    let baseUrl;
+    let db;
+
+    const rule = (extra) => ({
+      name: 'Promemoria',
+      trigger: 'service',
+      offsets: [1],
+      audience: { type: 'team' },
+      templateKey: 'remind_upcoming_service_members',
+      ...extra,
+    });
+
+    before(async () => {
+      const loaded = loadServer({ APP_BASE_URL: 'https://app.example.com' });
+      db = loaded.db;
+      ({ server, baseUrl } = await listen(loaded.app));
+    });
+    beforeEach(async () => {
+      await Promise.all([clearFirestore(), clearAuth()]);
+      await seed(db, { 'users/root': { name: 'Root', role: 'root', active: true } });
+    });
+    after(() => shutdown(server));
+
+    const save = async (body) =>
+      fetch(`${baseUrl}/api/admin/reminder-rules`, {
+        method: 'POST',
+        headers: {
+          authorization: `Bearer ${await idToken('root')}`,
+          'content-type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+    test('rejects unknown categories and links outside the app', async () => {
+      for (const extra of [
+        { category: 'remindr' },
+        { category: 'constructor' },
+        { link: 'https://evil.example.com/services' },
+        { link: '//evil.example.com' },
+        { link: '/\\evil.example.com' },
+        { link: 'javascript:alert(1)' },
+      ]) {
+        const res = await save(rule(extra));
+        assert.equal(res.status, 400, JSON.stringify(extra));
+      }
+    });
+
+    test('accepts known categories, app paths and app URLs', async () => {
+      for (const extra of [
+        {},
+        { category: 'assignment', link: '/services/{serviceId}' },
+        { link: 'https://app.example.com/services/{serviceId}' },
+      ]) {
+        const res = await save(rule(extra));
+        assert.equal(res.status, 200, JSON.stringify(extra));
+      }
+    });
+  },
+);
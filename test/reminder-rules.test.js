@@ -0,0 +1,44 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutEmulator, loadServer, clearFirestore, seed, shutdown } = require('./emulator');
+
+describe(
+  'monthly reminder rule against the Firestore emulator',
+  { skip: skipWithoutEmulator },
+  () => {
+    // 4 days before July: within the default offsets of remind-next-month-schedule.
+    const now = new Date('2024-06-27T08:00:00Z');
+    let db;
+    let runCronJob;
+
+    before(() => {
+      ({ db, runCronJob } = loadServer());
+    });
+    beforeEach(async () => {
+      await clearFirestore();
+      await seed(db, {
+        'users/root': { name: 'Root', role: 'root', active: true },
+        'services/sun': { name: 'Culto domenica', date: '2024-06-30', startTime: '10:00' },
+      });
+    });
+    after(() => shutdown());
+
+    const logCount = async () => (await db.collection('notification_log').get()).size;
+
+    test('a forced run for one service does not resend the monthly reminder', async () => {
+      const forced = await runCronJob(
+        'remind-next-month-schedule',
+        { now, force: true, serviceId: 'sun', dryRun: false },
+        'test',
+      );
+      assert.deepEqual(forced.targetDates, []);
+      assert.equal(forced.recipients, 0);
+      assert.equal(await logCount(), 0);
+
+      const daily = await runCronJob('remind-next-month-schedule', { now, dryRun: false }, 'test');
+      assert.deepEqual(daily.targetDates, ['2024-07']);
+      assert.equal(daily.recipients, 1);
+      assert.equal(await logCount(), 1);
+    });
+  },
+);
@@ -0,0 +1,99 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutAuthEmulator,
+  loadServer,
+  clearFirestore,
+  clearAuth,
+  seed,
+  idToken,
+  listen,
+  shutdown,
+} = require('./emulator');
+
+describe('ids in route params', { skip: skipWithoutAuthEmulator }, () => {
+  let server;
+  let baseUrl;
+  let db;
+
+  before(async () => {
+    const loaded = loadServer();
+    db = loaded.db;
+    ({ server, baseUrl } = await listen(loaded.app));
+  });
+  beforeEach(async () => {
+    await Promise.all([clearFirestore(), clearAuth()]);
+    await seed(db, {
+      'users/root': { name: 'Root', active: true, role: 'root' },
+      'users/u1': { name: 'Uno', active: true, role: 'member' },
+      'users/old': { name: 'Vecchio', active: false, role: 'member' },
+      'services/sun': { name: 'Culto domenica', date: '2024-06-02', startTime: '10:00' },
+    });
+  });
+  after(() => shutdown(server));
+
+  const call = async (method, path, uid, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${await idToken(uid)}`,
+        'content-type': 'application/json',
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  test('an encoded slash in a device id is a 404, not a crash', async () => {
+    for (const [method, path] of [
+      ['PATCH', '/api/me/devices/a%2Fb'],
+      ['DELETE', '/api/me/devices/a%2Fb'],
+      ['POST', '/api/me/devices/a%2Fb/test'],
+    ]) {
+      const res = await call(method, path, 'u1', { name: 'Telefono' });
+      assert.equal(res.status, 404, `${method} ${path}`);
+    }
+    assert.equal((await call('GET', '/health', 'u1')).status, 200);
+  });
+
+  test('an encoded slash in an inbox id or cursor is rejected', async () => {
+    assert.equal((await call('POST', '/api/me/notifications/a%2Fb/read', 'u1')).status, 404);
+    assert.equal((await call('DELETE', '/api/me/notifications/a%2Fb', 'u1')).status, 404);
+    assert.equal((await call('GET', '/api/me/notifications?cursor=a%2Fb', 'u1')).status, 400);
+  });
+
+  test('an encoded slash in a swap id is a 404', async () => {
+    for (const action of ['respond', 'approve', 'cancel']) {
+      const res = await call('POST', `/api/swaps/a%2Fb/${action}`, 'u1', {});
+      assert.equal(res.status, action === 'approve' ? 403 : 404, action);
+    }
+  });
+
+  test('an encoded slash in a webhook id or cursor is rejected', async () => {
+    for (const [method, path] of [
+      ['PATCH', '/api/admin/webhooks/a%2Fb'],
+      ['DELETE', '/api/admin/webhooks/a%2Fb'],
+      ['POST', '/api/admin/webhooks/a%2Fb/test'],
+      ['POST', '/api/admin/webhooks/deliveries/a%2Fb/replay'],
+    ]) {
+      assert.equal((await call(method, path, 'root', {})).status, 404, `${method} ${path}`);
+    }
+    const res = await call('GET', '/api/admin/webhooks/deliveries?cursor=a%2Fb', 'root');
+    assert.equal(res.status, 400);
+  });
+
+  test('an encoded slash in a scheduled notification or audit id is rejected', async () => {
+    const path = '/api/admin/scheduled-notifications/a%2Fb';
+    assert.equal((await call('PATCH', path, 'root', { title: 'Prova' })).status, 404);
+    assert.equal((await call('DELETE', path, 'root')).status, 404);
+    assert.equal((await call('GET', '/api/admin/audit?cursor=a%2Fb', 'root')).status, 400);
+    assert.equal((await call('GET', '/api/admin/notifications?cursor=a%2Fb', 'root')).status, 400);
+  });
+
+  test('the setlist needs a valid id and an active app user', async () => {
+    assert.equal((await call('GET', '/api/services/a%2Fb/setlist', 'u1')).status, 404);
+    assert.equal((await call('GET', '/api/services/sun/setlist', 'old')).status, 403);
+    assert.equal((await call('GET', '/api/services/sun/setlist', 'stranger')).status, 403);
+    const res = await call('GET', '/api/services/sun/setlist', 'u1');
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).songs, []);
+  });
+});
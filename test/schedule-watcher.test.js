@@ -0,0 +1,258 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FieldValue } = require('firebase-admin/firestore');
+const { normalizeServices, diffScheduleAssignments } = require('../lib/scheduleDiff');
+const { skipWithoutEmulator, loadServer, clearFirestore, seed, shutdown } = require('./emulator');
+
+const service = (serviceId, ...assignments) => ({
+  serviceId,
+  assignments: assignments.map(([positionId, personId]) => ({ positionId, personId })),
+});
+
+describe('diffScheduleAssignments', () => {
+  test('reports additions and removals per person', () => {
+    const changes = diffScheduleAssignments(
+      [service('sun', ['keys', 'p1'])],
+      [service('sun', ['keys', 'p2'])],
+    );
+    assert.deepEqual(Object.fromEntries(changes), {
+      p1: [{ type: 'removed', serviceId: 'sun', positionId: 'keys' }],
+      p2: [{ type: 'added', serviceId: 'sun', positionId: 'keys' }],
+    });
+  });
+
+  test('pairs a removal and an addition into a move, preferring the same service', () => {
+    const changes = diffScheduleAssignments(
+      [service('sun', ['keys', 'p1']), service('wed')],
+      [service('sun', ['vocal', 'p1']), service('wed', ['keys', 'p1'])],
+    );
+    assert.deepEqual(changes.get('p1'), [
+      {
+        type: 'moved',
+        serviceId: 'sun',
+        positionId: 'vocal',
+        fromServiceId: 'sun',
+        fromPositionId: 'keys',
+      },
+      { type: 'added', serviceId: 'wed', positionId: 'keys' },
+    ]);
+  });
+
+  test('ignores unchanged people, reordering and incomplete assignments', () => {
+    const before = [service('sun', ['keys', 'p1'], ['vocal', 'p2'])];
+    const after = [
+      {
+        serviceId: 'sun',
+        assignments: [
+          { positionId: 'vocal', personId: 'p2' },
+          { positionId: 'keys', personId: 'p1' },
+          { positionId: 'drums' },
+        ],
+      },
+    ];
+    assert.equal(diffScheduleAssignments(before, after).size, 0);
+    assert.deepEqual(normalizeServices(after)[0].assignments.length, 2);
+  });
+});
+
+describe(
+  'sync-schedule-changes against the Firestore emulator',
+  { skip: skipWithoutEmulator },
+  () => {
+    const now = new Date('2024-06-01T08:00:00Z');
+    let db;
+    let runCronJob;
+
+    before(() => {
+      ({ db, runCronJob } = loadServer());
+    });
+    beforeEach(async () => {
+      await clearFirestore();
+      await seed(db, {
+        'services/sun': { name: 'Culto domenica', date: '2024-06-02', startTime: '10:00' },
+        'services/wed': { name: 'Culto mercoledì', date: '2024-06-05', startTime: '20:00' },
+        'positions/keys': { name: 'Tastiera' },
+        'positions/vocal': { name: 'Voce' },
+        'users/u1': { name: 'Uno', active: true, linkedPersonId: 'p1', locale: 'it' },
+        'users/u2': { name: 'Due', active: true, linkedPersonId: 'p2', locale: 'it' },
+        'users/u3': { name: 'Tre', active: true, linkedPersonId: 'p3', locale: 'it' },
+        'schedules/june': {
+          month: '2024-06',
+          services: [service('sun', ['keys', 'p1'], ['vocal', 'p2']), service('wed')],
+        },
+      });
+    });
+    after(() => shutdown());
+
+    async function watcherLogs() {
+      const snap = await db
+        .collection('notification_log')
+        .where('source', '==', 'watcher:schedules')
+        .get();
+      return new Map(
+        snap.docs.map((doc) => [doc.data().meta.personId, { id: doc.id, ...doc.data() }]),
+      );
+    }
+
+    test('the first run only stores the reference version', async () => {
+      const result = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.deepEqual(result, { checkedSchedules: 1, changedPeople: 0, notified: 0, webhooks: 0 });
+
+      const snapshot = await db.collection('schedule_snapshots').doc('june').get();
+      assert.equal(snapshot.data().month, '2024-06');
+      assert.deepEqual(snapshot.data().services, [
+        service('sun', ['keys', 'p1'], ['vocal', 'p2']),
+        service('wed'),
+      ]);
+      assert.equal((await watcherLogs()).size, 0);
+    });
+
+    test('a changed assignment notifies each affected person once', async () => {
+      await runCronJob('sync-schedule-changes', { now }, 'test');
+      const firstVersion = (await db.collection('schedule_snapshots').doc('june').get()).data()
+        .version;
+
+      await db
+        .collection('schedules')
+        .doc('june')
+        .update({ services: [service('sun', ['keys', 'p3']), service('wed', ['vocal', 'p2'])] });
+      const result = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.deepEqual(result, { checkedSchedules: 1, changedPeople: 3, notified: 3, webhooks: 0 });
+
+      const logs = await watcherLogs();
+      assert.deepEqual(logs.get('p1').meta.changes, [
+        { type: 'removed', serviceId: 'sun', positionId: 'keys' },
+      ]);
+      assert.deepEqual(logs.get('p2').meta.changes, [
+        {
+          type: 'moved',
+          serviceId: 'wed',
+          positionId: 'vocal',
+          fromServiceId: 'sun',
+          fromPositionId: 'vocal',
+        },
+      ]);
+      assert.deepEqual(logs.get('p3').meta.changes, [
+        { type: 'added', serviceId: 'sun', positionId: 'keys' },
+      ]);
+
+      assert.deepEqual(logs.get('p1').recipients, ['u1']);
+      assert.equal(logs.get('p1').category, 'assignment');
+      assert.equal(logs.get('p1').title, 'La tua scala è cambiata');
+      assert.equal(
+        logs.get('p1').body,
+        'Sei stato rimosso da Culto domenica 2024-06-02 10:00 (Tastiera).',
+      );
+      assert.equal(
+        logs.get('p2').body,
+        'Spostato da Culto domenica 2024-06-02 10:00 (Voce) a Culto mercoledì 2024-06-05 20:00 (Voce).',
+      );
+      assert.equal(logs.get('p3').link, '/services/sun');
+
+      const inbox = await db
+        .collection('notification_inbox')
+        .doc(`${logs.get('p3').id}_u3`)
+        .get();
+      assert.equal(
+        inbox.data().body,
+        'Sei stato inserito in Culto domenica 2024-06-02 10:00 (Tastiera).',
+      );
+      assert.equal((await db.collection('users').doc('u3').get()).data().inboxUnread, 1);
+
+      const snapshot = (await db.collection('schedule_snapshots').doc('june').get()).data();
+      assert.deepEqual(snapshot.services, [
+        service('sun', ['keys', 'p3']),
+        service('wed', ['vocal', 'p2']),
+      ]);
+      assert.ok(snapshot.version > firstVersion);
+
+      const again = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.deepEqual(again, { checkedSchedules: 1, changedPeople: 0, notified: 0, webhooks: 0 });
+      assert.equal((await watcherLogs()).size, 3);
+    });
+
+    test('a write made by an approved swap is not notified again', async () => {
+      await runCronJob('sync-schedule-changes', { now }, 'test');
+
+      // The same fields applySwap writes in its transaction.
+      const swapped = [service('sun', ['keys', 'p3'], ['vocal', 'p2']), service('wed')];
+      await db.collection('schedules').doc('june').update({
+        services: swapped,
+        lastChangeSource: 'swap',
+        lastChangeSwapId: 'swap-1',
+        lastChangeAt: FieldValue.serverTimestamp(),
+      });
+      const afterSwap = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.deepEqual(afterSwap, {
+        checkedSchedules: 1,
+        changedPeople: 2,
+        notified: 0,
+        webhooks: 0,
+      });
+      assert.equal((await watcherLogs()).size, 0);
+      const snapshot = (await db.collection('schedule_snapshots').doc('june').get()).data();
+      assert.deepEqual(snapshot.services, swapped);
+
+      // A later edit keeps the swap marker but is a different write.
+      await db
+        .collection('schedules')
+        .doc('june')
+        .update({ services: [service('sun', ['keys', 'p3'], ['vocal', 'p1']), service('wed')] });
+      const afterEdit = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.deepEqual(afterEdit, {
+        checkedSchedules: 1,
+        changedPeople: 2,
+        notified: 2,
+        webhooks: 0,
+      });
+      assert.deepEqual([...(await watcherLogs()).keys()].sort(), ['p1', 'p2']);
+    });
+
+    test('assignment changes, swaps included, go to assignment_changed webhooks', async () => {
+      await seed(db, {
+        'webhook_subscriptions/hook': {
+          url: 'https://hooks.example.invalid/worship',
+          events: ['assignment_changed'],
+          secret: 'whsec_test',
+          active: true,
+        },
+      });
+      await runCronJob('sync-schedule-changes', { now }, 'test');
+
+      await db
+        .collection('schedules')
+        .doc('june')
+        .update({
+          services: [service('sun', ['keys', 'p3'], ['vocal', 'p2']), service('wed')],
+          lastChangeSource: 'swap',
+          lastChangeSwapId: 'swap-1',
+          lastChangeAt: FieldValue.serverTimestamp(),
+        });
+      const result = await runCronJob('sync-schedule-changes', { now }, 'test');
+      assert.equal(result.webhooks, 2);
+      assert.equal(result.notified, 0);
+
+      const deliveries = await db.collection('webhook_deliveries').get();
+      const byPerson = new Map(
+        deliveries.docs.map((doc) => [doc.data().payload.data.personId, doc.data()]),
+      );
+      assert.deepEqual([...byPerson.keys()].sort(), ['p1', 'p3']);
+      assert.equal(byPerson.get('p3').event, 'assignment_changed');
+      assert.deepEqual(byPerson.get('p3').payload.data, {
+        personId: 'p3',
+        scheduleId: 'june',
+        month: '2024-06',
+        changes: [{ type: 'added', serviceId: 'sun', positionId: 'keys' }],
+      });
+    });
+
+    test('schedules of past months are not checked', async () => {
+      const result = await runCronJob(
+        'sync-schedule-changes',
+        { now: new Date('2024-07-01T08:00:00Z') },
+        'test',
+      );
+      assert.equal(result.checkedSchedules, 0);
+    });
+  },
+);
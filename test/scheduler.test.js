@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSchedule } = require('../lib/scheduler');
+
+const keys = { id: 'keys' };
+const person = (id, positionIds = ['keys']) => ({ id, positionIds });
+const assigned = (draft) =>
+  Object.fromEntries(
+    draft.services.map((s) => [s.serviceId, s.assignments.map((a) => a.personId).join(',')]),
+  );
+
+test('skips people who are unavailable on the service date', () => {
+  const draft = generateSchedule({
+    services: [
+      { id: 's1', date: '2024-06-02' },
+      { id: 's2', date: '2024-06-16' },
+    ],
+    positions: [keys],
+    people: [person('a'), person('b')],
+    unavailable: { a: ['2024-06-02'], b: ['2024-06-16'] },
+  });
+  assert.deepEqual(assigned(draft), { s1: 'b', s2: 'a' });
+  assert.deepEqual(draft.warnings, []);
+});
+
+test('leaves the slot empty with a warning when nobody is free', () => {
+  const draft = generateSchedule({
+    services: [{ id: 's1', date: '2024-06-02' }],
+    positions: [keys],
+    people: [person('a')],
+    unavailable: { a: ['2024-06-02'] },
+  });
+  assert.deepEqual(draft.services, [{ serviceId: 's1', assignments: [] }]);
+  assert.deepEqual(draft.warnings, [
+    { serviceId: 's1', positionId: 'keys', reason: 'no_candidates' },
+  ]);
+});
+
+test('prefers someone who has rested for restDays', () => {
+  const draft = generateSchedule({
+    services: [
+      { id: 's3', date: '2024-06-16' },
+      { id: 's1', date: '2024-06-02' },
+      { id: 's2', date: '2024-06-05' },
+    ],
+    positions: [keys],
+    people: [person('a'), person('b')],
+  });
+  assert.deepEqual(assigned(draft), { s1: 'a', s2: 'b', s3: 'a' });
+  assert.deepEqual(draft.load, { a: 2, b: 1 });
+  assert.deepEqual(draft.warnings, []);
+});
+
+test('assigns back to back only when no rested person is left, and says so', () => {
+  const services = [
+    { id: 's1', date: '2024-06-02' },
+    { id: 's2', date: '2024-06-05' },
+  ];
+  const draft = generateSchedule({ services, positions: [keys], people: [person('a')] });
+  assert.deepEqual(assigned(draft), { s1: 'a', s2: 'a' });
+  assert.deepEqual(draft.warnings, [
+    { serviceId: 's2', positionId: 'keys', personId: 'a', reason: 'back_to_back' },
+  ]);
+
+  const relaxed = generateSchedule({
+    services,
+    positions: [keys],
+    people: [person('a')],
+    restDays: 2,
+  });
+  assert.deepEqual(relaxed.warnings, []);
+});
+
+test('gives a person one position per service, filling the scarcest position first', () => {
+  const draft = generateSchedule({
+    services: [{ id: 's1', date: '2024-06-02' }],
+    positions: [keys, { id: 'vocal' }],
+    people: [person('a', ['keys', 'vocal']), person('b', ['vocal'])],
+  });
+  assert.deepEqual(draft.services[0].assignments, [
+    { positionId: 'keys', personId: 'a' },
+    { positionId: 'vocal', personId: 'b' },
+  ]);
+});
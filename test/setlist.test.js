@@ -0,0 +1,76 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  semitonesBetween,
+  prefersFlats,
+  transposeChord,
+  transposeChordPro,
+  chordProToText,
+} = require('../lib/setlist');
+
+describe('semitonesBetween', () => {
+  test('measures the upward distance between keys of the same mode', () => {
+    assert.equal(semitonesBetween('G', 'A'), 2);
+    assert.equal(semitonesBetween('A', 'G'), 10);
+    assert.equal(semitonesBetween('Bb', 'C'), 2);
+    assert.equal(semitonesBetween('A#', 'Bb'), 0);
+    assert.equal(semitonesBetween('Am', 'Bm'), 2);
+    assert.equal(semitonesBetween('F#m', 'Ebm'), 9);
+  });
+
+  test('refuses major/minor switches and unknown keys', () => {
+    assert.equal(semitonesBetween('Am', 'C'), null);
+    assert.equal(semitonesBetween('C', 'Cm'), null);
+    assert.equal(semitonesBetween('H', 'C'), null);
+    assert.equal(semitonesBetween('', 'C'), null);
+  });
+});
+
+describe('transposition', () => {
+  test('transposes the root and the bass of slash chords', () => {
+    assert.equal(transposeChord('D/F#', 2), 'E/G#');
+    assert.equal(transposeChord('Am7/G', 3, true), 'Cm7/Bb');
+    assert.equal(transposeChord('Bbmaj7', 2), 'Cmaj7');
+    assert.equal(transposeChord('N.C.', 2), 'N.C.');
+  });
+
+  test('spells chords with flats in flat keys', () => {
+    assert.equal(prefersFlats('F'), true);
+    assert.equal(prefersFlats('Eb'), true);
+    assert.equal(prefersFlats('Dm'), true);
+    assert.equal(prefersFlats('Em'), false);
+    assert.equal(prefersFlats('A'), false);
+
+    const song = '[G]Amazing [D/F#]grace how [C]sweet';
+    assert.equal(
+      transposeChordPro(song, semitonesBetween('G', 'F'), prefersFlats('F')),
+      '[F]Amazing [C/E]grace how [Bb]sweet',
+    );
+    assert.equal(
+      transposeChordPro(song, semitonesBetween('G', 'A'), prefersFlats('A')),
+      '[A]Amazing [E/G#]grace how [D]sweet',
+    );
+    assert.equal(transposeChordPro(song, 0), song);
+  });
+});
+
+describe('chordProToText', () => {
+  test('puts each chord above the syllable it precedes', () => {
+    assert.deepEqual(chordProToText('[G]Amazing [D/F#]grace how [G]sweet'), [
+      'G       D/F#      G',
+      'Amazing grace how sweet',
+    ]);
+  });
+
+  test('keeps a space between chords that would overlap', () => {
+    assert.deepEqual(chordProToText('[Am7/G]A[C]men'), ['Am7/G C', 'Amen']);
+    assert.deepEqual(chordProToText('[G] [C]'), ['G C']);
+  });
+
+  test('renders comments and drops other directives', () => {
+    assert.deepEqual(chordProToText('{comment: Coro}\n{soc}\nSolo testo\n{eoc}'), [
+      '(Coro)',
+      'Solo testo',
+    ]);
+  });
+});
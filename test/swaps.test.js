@@ -0,0 +1,88 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  skipWithoutAuthEmulator,
+  loadServer,
+  clearFirestore,
+  clearAuth,
+  seed,
+  idToken,
+  listen,
+  shutdown,
+} = require('./emulator');
+
+describe('swap status changes against the emulators', { skip: skipWithoutAuthEmulator }, () => {
+  let server;
+  let baseUrl;
+  let db;
+
+  const swap = (status) => ({
+    serviceId: 'sun',
+    serviceName: 'Culto domenica',
+    serviceDate: '2024-06-02',
+    startTime: '10:00',
+    positionId: 'keys',
+    targetServiceId: null,
+    requesterUid: 'u1',
+    requesterName: 'Uno',
+    requesterPersonId: 'p1',
+    targetPersonId: 'p2',
+    reason: '',
+    requireApproval: true,
+    status,
+  });
+
+  before(async () => {
+    const loaded = loadServer();
+    db = loaded.db;
+    ({ server, baseUrl } = await listen(loaded.app));
+  });
+  beforeEach(async () => {
+    await Promise.all([clearFirestore(), clearAuth()]);
+    await seed(db, {
+      'users/root': { name: 'Root', role: 'root', active: true },
+      'users/u1': { name: 'Uno', active: true, linkedPersonId: 'p1' },
+      'users/u2': { name: 'Due', active: true, linkedPersonId: 'p2' },
+      'services/sun': { name: 'Culto domenica', date: '2024-06-02', startTime: '10:00' },
+      'schedules/june': {
+        month: '2024-06',
+        services: [{ serviceId: 'sun', assignments: [{ positionId: 'keys', personId: 'p1' }] }],
+      },
+    });
+  });
+  after(() => shutdown(server));
+
+  const call = async (path, uid, body = {}) =>
+    fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${await idToken(uid)}`,
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  const statusOf = async (id) => (await db.collection('swap_requests').doc(id).get()).data().status;
+
+  test('a cancelled swap cannot be accepted afterwards', async () => {
+    await seed(db, { 'swap_requests/s1': { ...swap('pending_target'), requireApproval: false } });
+    assert.equal((await call('/api/swaps/s1/cancel', 'u1')).status, 200);
+    assert.equal((await call('/api/swaps/s1/respond', 'u2', { accept: true })).status, 409);
+    assert.equal(await statusOf('s1'), 'cancelled');
+    const schedule = (await db.collection('schedules').doc('june').get()).data();
+    assert.equal(schedule.services[0].assignments[0].personId, 'p1');
+  });
+
+  test('a second approval does not turn an applied swap into failed', async () => {
+    await seed(db, { 'swap_requests/s1': swap('pending_approval') });
+    const [first, second] = await Promise.all([
+      call('/api/swaps/s1/approve', 'root', { approve: true }),
+      call('/api/swaps/s1/approve', 'root', { approve: true }),
+    ]);
+    assert.deepEqual([first.status, second.status].sort(), [200, 409]);
+    assert.equal(await statusOf('s1'), 'approved');
+    assert.equal((await call('/api/swaps/s1/cancel', 'u1')).status, 409);
+    const schedule = (await db.collection('schedules').doc('june').get()).data();
+    assert.equal(schedule.services[0].assignments[0].personId, 'p2');
+    assert.equal(schedule.lastChangeSwapId, 's1');
+  });
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getZonedParts,
+  getLocalISODate,
+  getNextMonthInfo,
+  zonedTimeToDate,
+  getQuietWindowEnd,
+} = require('../lib/time');
+
+const ROME = 'Europe/Rome';
+const SAO_PAULO = 'America/Sao_Paulo';
+const at = (iso) => new Date(iso);
+const QUIET_NIGHT = { quietHours: { start: '22:00', end: '07:00' } };
+
+test('getLocalISODate follows the church calendar, not UTC', () => {
+  // 23:30 UTC on Saturday is already Sunday in Rome.
+  assert.equal(getLocalISODate(at('2024-06-01T23:30:00Z'), ROME), '2024-06-02');
+  assert.equal(getLocalISODate(at('2024-06-01T23:30:00Z'), ROME, 2), '2024-06-04');
+  assert.equal(getLocalISODate(at('2024-06-02T02:30:00Z'), SAO_PAULO), '2024-06-01');
+  assert.equal(getLocalISODate(at('2024-01-31T12:00:00Z'), ROME, 1), '2024-02-01');
+});
+
+test('Europe/Rome: March transition (02:00 CET -> 03:00 CEST)', () => {
+  // 01:30 CET, half an hour before the jump.
+  const beforeJump = at('2024-03-31T00:30:00Z');
+  assert.deepEqual(getZonedParts(beforeJump, ROME), {
+    year: 2024,
+    month: 3,
+    day: 31,
+    hour: 1,
+    minute: 30,
+    weekday: 0,
+  });
+  assert.equal(getLocalISODate(beforeJump, ROME, 1), '2024-04-01');
+  assert.equal(getLocalISODate(at('2024-03-30T23:30:00Z'), ROME), '2024-03-31');
+
+  // A week that contains the 23-hour day is still seven days.
+  assert.deepEqual(getNextMonthInfo(at('2024-03-24T23:30:00Z'), ROME), {
+    month: '2024-04',
+    startDate: '2024-04-01',
+    daysUntilStart: 7,
+  });
+
+  assert.equal(zonedTimeToDate(2024, 3, 31, 1, 30, ROME).toISOString(), '2024-03-31T00:30:00.000Z');
+  assert.equal(zonedTimeToDate(2024, 3, 31, 3, 0, ROME).toISOString(), '2024-03-31T01:00:00.000Z');
+  // 02:30 does not exist: it is moved forward by the hour skipped.
+  assert.equal(zonedTimeToDate(2024, 3, 31, 2, 30, ROME).toISOString(), '2024-03-31T01:30:00.000Z');
+
+  // 23:00 CET to 07:00 CEST is only seven hours of real time.
+  assert.equal(
+    getQuietWindowEnd(at('2024-03-30T22:00:00Z'), ROME, QUIET_NIGHT).toISOString(),
+    '2024-03-31T05:00:00.000Z',
+  );
+});
+
+test('Europe/Rome: October transition (03:00 CEST -> 02:00 CET)', () => {
+  // 00:30 CEST on Sunday, while UTC is still on Saturday.
+  assert.equal(getLocalISODate(at('2024-10-26T22:30:00Z'), ROME), '2024-10-27');
+  assert.equal(getLocalISODate(at('2024-10-27T22:30:00Z'), ROME), '2024-10-27');
+  assert.equal(getLocalISODate(at('2024-10-27T23:00:00Z'), ROME), '2024-10-28');
+
+  assert.deepEqual(getNextMonthInfo(at('2024-10-24T22:30:00Z'), ROME), {
+    month: '2024-11',
+    startDate: '2024-11-01',
+    daysUntilStart: 7,
+  });
+  assert.equal(getNextMonthInfo(at('2024-10-31T22:59:00Z'), ROME).daysUntilStart, 1);
+  assert.equal(getNextMonthInfo(at('2024-10-31T23:00:00Z'), ROME).daysUntilStart, 30);
+
+  // 02:30 happens twice: the first occurrence (CEST) wins.
+  assert.equal(
+    zonedTimeToDate(2024, 10, 27, 2, 30, ROME).toISOString(),
+    '2024-10-27T00:30:00.000Z',
+  );
+  assert.equal(zonedTimeToDate(2024, 10, 27, 7, 0, ROME).toISOString(), '2024-10-27T06:00:00.000Z');
+
+  assert.equal(
+    getQuietWindowEnd(at('2024-10-26T21:00:00Z'), ROME, QUIET_NIGHT).toISOString(),
+    '2024-10-27T06:00:00.000Z',
+  );
+  assert.equal(getQuietWindowEnd(at('2024-10-27T06:00:00Z'), ROME, QUIET_NIGHT), null);
+});
+
+test('America/Sao_Paulo: October 2017 transition skips midnight', () => {
+  // Clocks went from 23:59 straight to 01:00 on 15 October.
+  assert.equal(getLocalISODate(at('2017-10-15T02:59:00Z'), SAO_PAULO), '2017-10-14');
+  assert.equal(getLocalISODate(at('2017-10-15T03:00:00Z'), SAO_PAULO), '2017-10-15');
+  assert.equal(getZonedParts(at('2017-10-15T03:00:00Z'), SAO_PAULO).hour, 1);
+
+  assert.equal(
+    zonedTimeToDate(2017, 10, 15, 0, 0, SAO_PAULO).toISOString(),
+    '2017-10-15T03:00:00.000Z',
+  );
+  // A window ending at a midnight that never happens must not end back on the previous day.
+  assert.equal(
+    getQuietWindowEnd(at('2017-10-15T01:30:00Z'), SAO_PAULO, {
+      quietHours: { start: '22:00', end: '00:00' },
+    }).toISOString(),
+    '2017-10-15T03:00:00.000Z',
+  );
+  assert.equal(getNextMonthInfo(at('2017-10-25T02:30:00Z'), SAO_PAULO).daysUntilStart, 7);
+});
+
+test('America/Sao_Paulo: February 2018 transition repeats 23:00', () => {
+  assert.equal(
+    zonedTimeToDate(2018, 2, 17, 23, 30, SAO_PAULO).toISOString(),
+    '2018-02-18T01:30:00.000Z',
+  );
+  assert.equal(getLocalISODate(at('2018-02-18T02:30:00Z'), SAO_PAULO), '2018-02-17');
+  assert.equal(
+    getQuietWindowEnd(at('2018-02-18T00:30:00Z'), SAO_PAULO, QUIET_NIGHT).toISOString(),
+    '2018-02-18T10:00:00.000Z',
+  );
+});
+
+test('America/Sao_Paulo: March and October without DST (since 2019)', () => {
+  assert.equal(
+    zonedTimeToDate(2024, 3, 10, 10, 0, SAO_PAULO).toISOString(),
+    '2024-03-10T13:00:00.000Z',
+  );
+  assert.equal(
+    zonedTimeToDate(2024, 10, 20, 0, 0, SAO_PAULO).toISOString(),
+    '2024-10-20T03:00:00.000Z',
+  );
+  assert.equal(getLocalISODate(at('2024-10-20T02:59:00Z'), SAO_PAULO), '2024-10-19');
+  assert.deepEqual(getNextMonthInfo(at('2024-03-25T02:59:00Z'), SAO_PAULO), {
+    month: '2024-04',
+    startDate: '2024-04-01',
+    daysUntilStart: 8,
+  });
+});
+
+test('getQuietWindowEnd uses the device time zone, not the church one', () => {
+  // 03:00 UTC is 23:00 in Sao Paulo (inside the window) and 05:00 in Rome (also inside).
+  const now = at('2024-06-10T03:00:00Z');
+  assert.equal(
+    getQuietWindowEnd(now, SAO_PAULO, QUIET_NIGHT).toISOString(),
+    '2024-06-10T10:00:00.000Z',
+  );
+  assert.equal(getQuietWindowEnd(now, ROME, QUIET_NIGHT).toISOString(), '2024-06-10T05:00:00.000Z');
+  assert.equal(getQuietWindowEnd(at('2024-06-10T12:00:00Z'), SAO_PAULO, QUIET_NIGHT), null);
+  // Sunday DND in Rome runs to local midnight.
+  assert.equal(
+    getQuietWindowEnd(at('2024-06-09T10:00:00Z'), ROME, { dndDays: [0] }).toISOString(),
+    '2024-06-09T22:00:00.000Z',
+  );
+});
@@ -0,0 +1,116 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  isValidWebhookUrl,
+  parseAllowedHosts,
+  postWebhook,
+  verifyWebhookSignature,
+} = require('../lib/webhooks');
+
+describe('isValidWebhookUrl', () => {
+  test('accepts public http(s) URLs', () => {
+    assert.equal(isValidWebhookUrl('https://hooks.example.com/worship'), true);
+    assert.equal(isValidWebhookUrl('http://93.184.216.34:8080/hook'), true);
+    assert.equal(isValidWebhookUrl('ftp://hooks.example.com'), false);
+    assert.equal(isValidWebhookUrl('not a url'), false);
+  });
+
+  test('rejects loopback, private, link-local and metadata addresses', () => {
+    [
+      'http://localhost:4000',
+      'http://api.localhost',
+      'http://127.0.0.1',
+      'http://2130706433/',
+      'http://0.0.0.0',
+      'http://10.1.2.3',
+      'http://172.16.0.1',
+      'http://172.31.255.255',
+      'http://192.168.1.10',
+      'http://100.64.0.1',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[fe80::1]/',
+      'http://[fd00::1]/',
+    ].forEach((url) => assert.equal(isValidWebhookUrl(url), false, url));
+    assert.equal(isValidWebhookUrl('http://172.32.0.1'), true);
+  });
+
+  test('lets WEBHOOK_ALLOWED_HOSTS through', () => {
+    const allowed = parseAllowedHosts(' LocalHost , 10.0.0.5,');
+    assert.deepEqual(allowed, ['localhost', '10.0.0.5']);
+    assert.equal(isValidWebhookUrl('http://localhost:4000', allowed), true);
+    assert.equal(isValidWebhookUrl('http://10.0.0.5/hook', allowed), true);
+    assert.equal(isValidWebhookUrl('http://10.0.0.6/hook', allowed), false);
+  });
+});
+
+describe('postWebhook against a local receiver', () => {
+  const secret = 'whsec_test';
+  let server;
+  let url;
+  let received;
+  let reply;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+        reply(res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+  beforeEach(() => {
+    received = [];
+    reply = (res) => res.writeHead(200).end('ok');
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const send = (allowedHosts) =>
+    postWebhook({
+      url,
+      secret,
+      id: 'del-1',
+      event: 'ping',
+      payload: { id: 'del-1', event: 'ping', data: { message: 'ping' } },
+      timeoutMs: 2000,
+      allowedHosts,
+    });
+
+  test('does not contact a private address that is not allowed', async () => {
+    assert.deepEqual(await send([]), { statusCode: null, error: 'URL non consentito' });
+    assert.equal(received.length, 0);
+  });
+
+  test('delivers a signed payload to an allowed host', async () => {
+    assert.deepEqual(await send(['127.0.0.1']), { statusCode: 200, error: null });
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-id'], 'del-1');
+    assert.equal(headers['x-webhook-event'], 'ping');
+    assert.deepEqual(JSON.parse(body).data, { message: 'ping' });
+    assert.equal(
+      verifyWebhookSignature(
+        secret,
+        headers['x-webhook-timestamp'],
+        body,
+        headers['x-webhook-signature'],
+      ),
+      true,
+    );
+  });
+
+  test('reports non-2xx responses and does not follow redirects', async () => {
+    reply = (res) => res.writeHead(500).end();
+    assert.deepEqual(await send(['127.0.0.1']), { statusCode: 500, error: 'HTTP 500' });
+
+    reply = (res) => res.writeHead(302, { location: 'http://169.254.169.254/' }).end();
+    assert.deepEqual(await send(['127.0.0.1']), { statusCode: 302, error: 'HTTP 302' });
+    assert.equal(received.length, 2);
+  });
+});